@@ -1,476 +1,65 @@
 /**
- * Sleep Age Simulator - Single File Bundle
- * Merged models.js and app.js to prevent file:// origin issues.
+ * Sleep Age Simulator - App Logic
+ * UI state, controls and canvas rendering. The simulation core lives in
+ * models.js and the profile state schema in state.js, which must be loaded
+ * first.
  */
 
-// --- MODELS ---
-
-const STAGES = {
-    WAKE: 0,
-    REM: 1,
-    N1: 2,
-    N2: 3,
-    N3: 4
-};
-
-class ScientificConstants {
-    static getAgeProfile(age) {
-        // Helper: Linear Interpolation between Keyframes
-        const interpolate = (val, keyframes) => {
-            if (val <= keyframes[0][0]) return keyframes[0][1];
-            if (val >= keyframes[keyframes.length - 1][0]) return keyframes[keyframes.length - 1][1];
-
-            for (let i = 0; i < keyframes.length - 1; i++) {
-                const [a1, v1] = keyframes[i];
-                const [a2, v2] = keyframes[i + 1];
-                if (val >= a1 && val <= a2) {
-                    const t = (val - a1) / (a2 - a1);
-                    return v1 + t * (v2 - v1);
-                }
-            }
-            return keyframes[keyframes.length - 1][1];
-        };
-
-        // 1. Total Sleep Time (Minutes) - Aggressive Tuning
-        // Age 0: 16h (960m)
-        // Age 5: 11.5h (690m)
-        // Age 12: 9.5h (570m)
-        // Age 18: 8.0h (480m)
-        // Age 40: 7.2h (432m)
-        // Age 60: 6.0h (360m)
-        // Age 80: 5.2h (312m) !! Aggressive Drop
-        // Age 90: 5.0h (300m)
-        const tstKeyframes = [
-            [0, 960],
-            [5, 690],
-            [12, 570],
-            [18, 480],
-            [40, 432],
-            [60, 360],
-            [80, 312],
-            [90, 300]
-        ];
-        const tst = interpolate(age, tstKeyframes);
-
-        // 2. Deep Sleep (N3) %
-        // High in childhood, drops in teens, stabilizes, drops in old age but NOT to zero.
-        const n3Keyframes = [
-            [0, 0.25],
-            [10, 0.25],
-            [18, 0.22], // Puberty drop
-            [40, 0.18],
-            [60, 0.15],
-            [80, 0.12], // Kept reasonable
-            [100, 0.10]
-        ];
-        let n3P = interpolate(age, n3Keyframes);
-
-        // 3. REM %
-        // Newborns have huge REM (50%). Drops to 25% by age 3-5. Stable 20-25% adult.
-        const remKeyframes = [
-            [0, 0.50],
-            [3, 0.30],
-            [5, 0.25],
-            [60, 0.23],
-            [80, 0.20],
-            [100, 0.18]
-        ];
-        let remP = interpolate(age, remKeyframes);
-
-        // 4. WASO (Wake After Sleep Onset) - Minutes
-        // 20yo: 10m. 80yo: 120m (Aggressive fragmentation).
-        const wasoKeyframes = [
-            [0, 5],
-            [30, 20],
-            [50, 45],
-            [70, 80],
-            [80, 120],
-            [90, 150]
-        ];
-        let wasoMins = interpolate(age, wasoKeyframes);
-
-        // 5. N1 (Light Sleep)
-        // Increases with age as Deep decreases.
-        const n1Keyframes = [
-            [0, 0.05],
-            [50, 0.05],
-            [80, 0.10],
-            [100, 0.12]
-        ];
-        let n1P = interpolate(age, n1Keyframes);
-
-        // N2: The filler
-        let n2P = 1.0 - (n3P + remP + n1P);
-
-        // Safety normalization
-        if (n2P < 0) {
-            const sum = n3P + remP + n1P;
-            n3P = n3P / sum * 0.95;
-            remP = remP / sum * 0.95;
-            n1P = n1P / sum * 0.95;
-            n2P = 0.05;
-        }
-
-        return { tst, n3P, remP, n1P, n2P, wasoMins };
-    }
-}
-
-class HypnogramGenerator {
-    generate(config) {
-        const {
-            age, gender, alcohol = 0, caffeine = 0, caffeineTime = 0,
-            caffeineMetabolism = 'normal', sdbSeverity = 0, nocturia = 0,
-            chronotype = 'normal', socialJetLag = false, blueLight = false,
-            isMenopausal = false
-        } = config;
-
-        // 1. Get Base Profile
-        const profile = ScientificConstants.getAgeProfile(age);
-        let { tst, n3P, remP, n1P, n2P, wasoMins } = profile;
-
-        // --- ADVANCED MODIFIERS ---
-
-        // 0. Blue Light (Screens)
-        let blueLightLatency = 0;
-        if (blueLight) {
-            blueLightLatency = 45;
-            tst -= 30;
-            n3P *= 0.85;
-            remP *= 0.9;
-            n1P += 0.03;
-        }
-
-        // 1. Caffeine Model
-        let halfLife = 6;
-        if (caffeineMetabolism === 'fast') halfLife = 4;
-        if (caffeineMetabolism === 'slow') halfLife = 8;
-        const activeCaffeine = caffeine * Math.pow(0.5, caffeineTime / halfLife);
-
-        if (activeCaffeine > 0.1) {
-            n3P *= Math.max(0.5, 1 - (activeCaffeine * 0.15));
-            n1P += activeCaffeine * 0.03;
-            // Caffeine Penalties (Corrected)
-            tst -= activeCaffeine * 15; // Reduce total sleep by 15m per cup equivalent
-            wasoMins += activeCaffeine * 15; // Increase fragmentation
-        }
-
-        // 2. Alcohol Model
-        if (alcohol > 0) {
-            n3P *= Math.max(0.6, 1 - (alcohol * 0.1));
-            remP *= Math.max(0.4, 1 - (alcohol * 0.15));
-            wasoMins += alcohol * 25;
-        }
-
-        // 3. Social Jet Lag
-        let bedtimeShift = 0;
-        if (socialJetLag) {
-            bedtimeShift = 180;
-            tst -= 60;
-            n3P *= 0.85;
-            remP *= 0.8;
-            wasoMins += 30;
-        }
-
-        // Gender Diff
-        if (gender === 'male' && age > 30) {
-            // Slight fragmentation penalty
-            wasoMins *= 1.1;
-        }
-
-        // Menopause
-        if (config.isMenopausal) {
-            wasoMins += 45;
-            n3P *= 0.80;
-            remP *= 0.9;
-            n1P += 0.05;
-        }
-
-        // Elderly Phase Shift (Restored)
-        let agePhaseShift = 0;
-        if (age > 65) {
-            // Linear shift from 65 (0) to 85 (-120)
-            const elderlyFactor = Math.min(1, (age - 65) / 20);
-            agePhaseShift = -120 * elderlyFactor;
-        }
-
-        // SDB (Sleep Apnea) - CALIBRATED
-        // Goal: SDB 10 @ 35yo ≈ Healthy @ 80yo
-        if (sdbSeverity > 0) {
-            const factor = sdbSeverity / 10; // 0 to 1
-
-            // N3: 35yo has ~15-20%. 80yo has ~5%.
-            // We need to reduce it by ~75% at max severity.
-            n3P *= (1 - factor * 0.75);
-
-            // REM: Fragmented.
-            remP *= (1 - factor * 0.3);
-
-            // WASO: 35yo has ~20m. 80yo has ~90m. Diff = 70m.
-            // Add up to 80m linear.
-            wasoMins += factor * 80;
-
-            // N1 (Micro-arousals): Massive increase.
-            n1P += factor * 0.15;
-
-            // TST penalty (Apnea shortens sleep)
-            tst -= factor * 60;
-        }
-
-        // Nocturia
-        if (nocturia > 0) {
-            wasoMins += nocturia * 10;
-        }
-
-        // Recalculate N2
-        // TST is now PURE SLEEP target.
-        const totalP = n3P + remP + n1P;
-        if (totalP > 0.95) {
-            const scale = 0.95 / totalP;
-            n3P *= scale; remP *= scale; n1P *= scale;
-        }
-        n2P = 1.0 - (n3P + remP + n1P);
-
-        // 3. Generate Cycles (Continuous Engine)
-        // FIX: Replaced integer cycle count with continuous loop to prevent jumps.
-
-        const cycleLength = 90;
-        const blocks = [];
-        let currentTime = 0;
-
-        // Latency
-        // Continuous age-based latency: 10m baseline + age increases (Ohayon 2004)
-        let latency = 10 + Math.max(0, (age - 20) * 0.25) + (activeCaffeine * 20) + blueLightLatency;
-        if (alcohol > 0) latency = Math.max(5, latency - (alcohol * 5));
-        if (config.isMenopausal) latency += 15; // Difficulty falling asleep
-
-        blocks.push({ stage: STAGES.WAKE, duration: latency, start: 0 });
-        currentTime += latency;
-
-        // Initial N1
-        const initialN1 = 5 + (age > 50 ? 5 : 0) + (activeCaffeine * 5);
-        blocks.push({ stage: STAGES.N1, duration: initialN1, start: currentTime });
-        currentTime += initialN1;
-
-        // Calculate Wake Injection Points
-        const numWakeChunks = Math.max(1, Math.floor(wasoMins / 15));
-        const wakeChunkDuration = wasoMins / numWakeChunks;
-        const wakeInsertionIndices = [];
-        // Estimate max cycles for distribution
-        const estCycles = Math.ceil(tst / cycleLength);
-        for (let k = 0; k < numWakeChunks; k++) {
-            wakeInsertionIndices.push(Math.floor(Math.random() * estCycles));
-        }
-        wakeInsertionIndices.sort((a, b) => a - b);
-        let wakeChunkIndex = 0;
-
-        // CONTINUOUS LOOP
-        // We run until we have generated enough *Sleep* (non-wake) time to match TST.
-        // We track 'accumulatedSleep' separately from 'currentTime' (which includes Waso).
-
-        // Initialize accumulatedSleep with the Initial N1 we already added
-        let accumulatedSleep = initialN1;
-        let cycleIndex = 0;
-
-        while (accumulatedSleep < tst) {
-            const cycleProgress = Math.min(1, cycleIndex / 5); // Cap aging effect at 5 cycles
-
-            // Local Cycle Percentages
-            // First cycles have more N3. Later have more REM.
-            let localN3 = n3P * (1 - (cycleIndex * 0.15)) * 2.0;
-            // Dampen N3 decay slightly so it doesn't vanish too fast
-
-            let localREM = remP * (0.5 + (cycleIndex * 0.20) * 1.5);
-            // Increase REM in later cycles
-
-            // Alcohol Logic
-            if (alcohol > 0) {
-                if (cycleIndex < 2) {
-                    localN3 *= (1 + alcohol * 0.1);
-                    localREM *= Math.max(0.1, 1 - (alcohol * 0.3));
-                } else {
-                    localREM *= (1 + alcohol * 0.2);
-                    localN3 *= 0.5;
-                }
-            }
-
-            // Normalize
-            let localN2 = 1.0 - (localN3 + localREM);
-            if (localN2 < 0) {
-                const total = localN3 + localREM;
-                localN3 = (localN3 / total) * 0.9;
-                localREM = (localREM / total) * 0.9;
-                localN2 = 0.1;
-            }
-
-            // Determine Cycle Duration
-            // The last cycle might be partial if we only need a few minutes to hit TST.
-            let remainingSleep = tst - accumulatedSleep;
-            let currentCycleSleep = Math.min(cycleLength, remainingSleep);
-
-            // If it's a tiny sliver (< 10 mins), maybe just skip it or merge? 
-            // Better to show it for exactness.
-
-            // Distribute currentCycleSleep into stages
-            // N2 Bridge (Pre) - 40% of N2
-            const dN2Pre = currentCycleSleep * (localN2 * 0.4);
-            blocks.push({ stage: STAGES.N2, duration: dN2Pre, start: currentTime });
-            currentTime += dN2Pre;
-            accumulatedSleep += dN2Pre;
-
-            // N3
-            if (localN3 > 0.01) {
-                const dN3 = currentCycleSleep * localN3;
-                blocks.push({ stage: STAGES.N3, duration: dN3, start: currentTime });
-                currentTime += dN3;
-                accumulatedSleep += dN3;
-            }
-
-            // N2 Bridge (Post) - 60% of N2
-            const dN2Post = currentCycleSleep * (localN2 * 0.6);
-            blocks.push({ stage: STAGES.N2, duration: dN2Post, start: currentTime });
-            currentTime += dN2Post;
-            accumulatedSleep += dN2Post;
-
-            // REM
-            const dREM = currentCycleSleep * localREM;
-            blocks.push({ stage: STAGES.REM, duration: dREM, start: currentTime });
-            currentTime += dREM;
-            accumulatedSleep += dREM;
-
-            // Post-REM N1 (Transition) - only if full cycle
-            if (currentCycleSleep >= cycleLength * 0.9) {
-                const transN1 = 2 + (age > 50 ? 2 : 0);
-                // Note: This adds to TST? Yes, N1 is sleep.
-                blocks.push({ stage: STAGES.N1, duration: transN1, start: currentTime });
-                currentTime += transN1;
-                accumulatedSleep += transN1;
-            }
-
-            // --- INJECT REAL WAKE BLOCKS (WASO) ---
-            // These do NOT count towards accumulatedSleep
-            while (wakeChunkIndex < wakeInsertionIndices.length && wakeInsertionIndices[wakeChunkIndex] === cycleIndex) {
-                blocks.push({ stage: STAGES.WAKE, duration: wakeChunkDuration, start: currentTime });
-                currentTime += wakeChunkDuration;
-                wakeChunkIndex++;
-            }
-
-            cycleIndex++;
-        }
-
-        // 4. Fragmentation Overlay (Thin Lines)
-        // These are MICRO-arousals (don't add time, just paint over)
-        // We reduced WASO by converting it to blocks, but we can keep some micro-arousals for visual texture.
-        const wakeEvents = [];
-        // SEVERE APNEA TEXTURE: Increase micro-arousals significantly
-        const numMicroArousals = 5 + (age > 50 ? 5 : 0) + (sdbSeverity * 15);
-
-        for (let i = 0; i < numMicroArousals; i++) {
-            const wakeT = latency + Math.random() * (currentTime - latency); // Distribute across total time
-            wakeEvents.push({ time: wakeT, duration: 1 }); // 1 min micro-arousal
-        }
-
-        // 5. Post-Processing
-        let startTimeOffset = 0;
-        if (chronotype === 'lark') startTimeOffset = -120;
-        if (chronotype === 'owl') startTimeOffset = 180;
-        if (socialJetLag) startTimeOffset += bedtimeShift;
-        startTimeOffset += agePhaseShift; // Apply elderly shift
-
-        // Teenage Phase Delay (Biological)
-        // Teens naturally want to go to bed later.
-        let teenShift = 0;
-        if (age >= 13 && age <= 21) {
-            // Peak at 17-19
-            if (age <= 17) {
-                // 13 -> 17: Ramp up 0 -> 90
-                teenShift = ((age - 13) / 4) * 90;
-            } else {
-                // 17 -> 21: Ramp down 90 -> 0
-                teenShift = 90 - ((age - 17) / 4) * 90;
-            }
-        }
-        startTimeOffset += teenShift;
-
-        // Metrics Calculation
-        // TST = Pure Sleep Time (calculated from blocks excluding Wake)
-        // TIB = Total Time in Bed (currentTime)
-        // SE = TST / TIB
-
-        // Recalculate actual TST from blocks
-        const actualTST = blocks.reduce((sum, b) => (b.stage !== STAGES.WAKE ? sum + b.duration : sum), 0);
-        const tib = currentTime;
-        const sleepEfficiency = (actualTST / tib) * 100;
-
-        return {
-            blocks: blocks.map(b => ({ ...b, start: b.start + 240 + startTimeOffset })),
-            wakeEvents: wakeEvents.map(w => ({ ...w, time: w.time + 240 + startTimeOffset })),
-            params: { chronotype, startTimeOffset, tst: actualTST, tib }, // Pass TIB for marker
-            stats: { n3P, remP, n1P, n2P, wasoMins, tst: actualTST, tib, sleepEfficiency, latency }
-        };
-    }
-}
-
-class TwoProcessModel {
-    static getCurves(tst, chronotype, caffeine, caffeineTime, caffeineMetabolism, blueLight) {
-        const tau_r = 18.2 * 60;
-        const tau_d = 4.2 * 60;
-
-        let peakTime = 240 + 180;
-        if (chronotype === 'lark') peakTime -= 120;
-        if (chronotype === 'owl') peakTime += 180;
-
-        if (blueLight) peakTime += 60;
-
-        let halfLife = 6;
-        if (caffeineMetabolism === 'fast') halfLife = 4;
-        if (caffeineMetabolism === 'slow') halfLife = 8;
-
-        return { tau_r, tau_d, peakTime, caffeine, caffeineTime, halfLife };
-    }
-}
-
 // --- APP LOGIC ---
 
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM Loaded');
     const generator = new HypnogramGenerator();
 
-    // Canvas References
-    const canvasA = document.getElementById('hypnogram');
-    const canvasB = document.getElementById('hypnogram-b');
-    const pieCanvasA = document.getElementById('pie-chart');
-    const pieCanvasB = document.getElementById('pie-chart-b');
-
-    // Default State Template
-    const defaultState = {
-        gender: 'male',
-        age: 25,
-        jetLag: 'none',
-        socialJetLag: false,
-        sdbSeverity: 0,
-        isMenopausal: false,
-        chronotype: 'normal',
-        alcohol: 0,
-        caffeine: 0,
-        caffeineTime: 0, // Hours before bed
-        caffeineMetabolism: 'normal', // fast, normal, slow
-        nocturia: 0,
-        blueLight: false,
-        showProcessS: false,
-        showProcessC: false,
-        showGH: false,
-        showCortisol: false
-    };
+    // Built-in clinical scenarios (overrides on top of defaultState)
+    const builtinPresets = [
+        {
+            id: 'apnea-moderate',
+            name: 'Untreated Moderate Apnea',
+            state: { gender: 'male', age: 55, ahi: 24, weight: 95, alcoholDrinks: [{ time: 21, drinks: 2 }] }
+        },
+        {
+            id: 'perimenopause',
+            name: 'Perimenopause with Hot Flashes',
+            state: { gender: 'female', age: 50, isMenopausal: true }
+        },
+        {
+            id: 'shift-owl',
+            name: 'Shift-Worker Owl',
+            state: {
+                age: 32, chronotype: 'owl', shiftWork: 'night', shiftStart: 22,
+                caffeineIntakes: [{ time: 21, mg: 95, source: 'coffee' }, { time: 1, mg: 80, source: 'energyDrink' }, { time: 4, mg: 63, source: 'espresso' }]
+            }
+        },
+        {
+            id: 'teen-screens',
+            name: 'Teenager with Screens',
+            state: {
+                age: 16, blueLight: true, socialJetLag: true,
+                caffeineIntakes: [{ time: 16, mg: 80, source: 'energyDrink' }, { time: 19, mg: 34, source: 'cola' }]
+            }
+        },
+        {
+            id: 'elderly-nocturia',
+            name: 'Elderly with Nocturia',
+            state: { age: 78, nocturia: 3 }
+        }
+    ];
 
     // Global State
+    // Profiles in display order; the first is the baseline the others are
+    // compared with. Per-profile data below is keyed by profile id.
+    const MAX_PROFILES = 6;
+    const profilePalette = ['#38bdf8', '#f472b6', '#4ade80', '#facc15', '#a78bfa', '#fb923c'];
+    let profiles = [{ id: 'A', name: 'Profile A', color: profilePalette[0] }];
     const states = {
-        A: JSON.parse(JSON.stringify(defaultState)),
-        B: JSON.parse(JSON.stringify(defaultState))
+        A: JSON.parse(JSON.stringify(defaultState))
     };
 
     let activeProfile = 'A';
     let compareMode = false;
-    let cachedSimulations = { A: null, B: null };
+    let cachedSimulations = { A: null };
+    let importedNights = { A: null }; // Real scored nights (overlay)
 
     // --- State Management ---
 
@@ -478,19 +67,12 @@ document.addEventListener('DOMContentLoaded', () => {
         activeProfile = profileId;
 
         // Update Tabs UI
-        document.querySelectorAll('.profile-tabs .tab').forEach(t => {
-            t.classList.toggle('active', t.dataset.profile === profileId);
-        });
-
-        // Update Sidebar styling
-        const mask = document.getElementById('controls-mask');
-        if (mask) {
-            mask.className = '';
-            mask.classList.add(`profile-${profileId.toLowerCase()}-active`);
-        }
+        renderProfileTabs();
 
         // Update Inputs to match State
         updateInputsFromState(states[activeProfile]);
+        updateImportUI();
+        drawDiff();
     }
 
     function updateInputsFromState(s) {
@@ -510,6 +92,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         setVal('age-slider', s.age);
         setTxt('age-value', s.age);
+        updateAgeMonthsUI(s);
 
         // Gender Radios
         document.querySelectorAll('input[name="gender"]').forEach(r => {
@@ -520,14 +103,15 @@ document.addEventListener('DOMContentLoaded', () => {
         setVal('jetlag-select', s.jetLag);
         setChk('social-jetlag-toggle', s.socialJetLag);
 
-        setTxt('alcohol-display', s.alcohol);
-        setVal('alcohol-input', s.alcohol); // Hidden input for counter logic
+        setVal('weight-slider', s.weight);
+        setTxt('weight-val', s.weight);
+        renderDrinkList(s);
 
-        setTxt('caffeine-display', s.caffeine);
-        setVal('caffeine-input', s.caffeine);
-
-        setVal('caffeine-time-slider', s.caffeineTime);
-        setTxt('caffeine-time-val', s.caffeineTime);
+        renderCaffeineList(s);
+        setChk('smoker-toggle', s.smoker);
+        setChk('oc-toggle', s.oralContraceptives);
+        setChk('pregnant-toggle', s.pregnant);
+        updateFemaleOnly(s);
 
         document.querySelectorAll('input[name="metabolism"]').forEach(r => {
             r.checked = (r.value === s.caffeineMetabolism);
@@ -537,7 +121,18 @@ document.addEventListener('DOMContentLoaded', () => {
         setVal('nocturia-input', s.nocturia);
 
         setChk('blue-light-toggle', s.blueLight);
-        setVal('sdb-slider', s.sdbSeverity);
+        setVal('ahi-slider', s.ahi);
+        setTxt('ahi-val', s.ahi);
+        setTxt('ahi-severity', apneaSeverity(s.ahi));
+        setChk('cpap-toggle', s.cpap);
+        renderMedicationList(s);
+
+        setVal('insomnia-select', s.insomnia);
+        setChk('narcolepsy-toggle', s.narcolepsy);
+        setVal('plm-slider', s.plmIndex);
+        setTxt('plm-val', s.plmIndex);
+        setChk('rls-toggle', s.restlessLegs);
+        setVal('phase-disorder-select', s.phaseDisorder);
         setChk('menopause-toggle', s.isMenopausal);
 
         // Menopause Visibility
@@ -550,6 +145,304 @@ document.addEventListener('DOMContentLoaded', () => {
         setChk('process-c-toggle', s.showProcessC);
         setChk('gh-toggle', s.showGH);
         setChk('cortisol-toggle', s.showCortisol);
+        setChk('caffeine-toggle', s.showCaffeine);
+        setChk('bac-toggle', s.showBAC);
+
+        setVal('seed-input', s.seed);
+        setVal('wake-time-select', s.wakeTime);
+        setVal('upper-threshold-slider', s.upperThreshold);
+        setTxt('upper-threshold-val', s.upperThreshold.toFixed(2));
+        setVal('lower-threshold-slider', s.lowerThreshold);
+        setTxt('lower-threshold-val', s.lowerThreshold.toFixed(2));
+
+        setVal('nights-select', s.nights);
+        setVal('exposure-nights-slider', s.exposureNights);
+        setTxt('exposure-nights-val', s.exposureNights);
+
+        setVal('shift-work-select', s.shiftWork);
+        setVal('shift-start-select', s.shiftStart);
+        setVal('shift-length-slider', s.shiftLength);
+        setTxt('shift-length-val', s.shiftLength);
+        updateShiftUI(s);
+
+        setVal('bedtime-select', s.fixedBedtime);
+        setVal('alarm-select', s.alarmTime);
+        setVal('sleep-debt-slider', s.sleepDebt);
+        setTxt('sleep-debt-val', (s.sleepDebt / 60).toFixed(1));
+
+        setVal('sleep-pattern-select', s.sleepPattern);
+        renderNapList(s);
+    }
+
+    // Months slider for the infant model (under 3 years)
+    function updateAgeMonthsUI(s) {
+        const grp = document.getElementById('age-months-group');
+        if (grp) grp.style.display = s.age < 3 ? 'block' : 'none';
+        const slider = document.getElementById('age-months-slider');
+        if (slider) slider.value = s.ageMonths;
+        const val = document.getElementById('age-months-val');
+        if (val) val.textContent = s.ageMonths;
+        // The infant model ignores everything but age
+        document.querySelectorAll('.control-group[data-adult-only]').forEach(group => {
+            group.classList.toggle('infant-off', s.age < 3);
+            group.inert = s.age < 3;
+        });
+    }
+
+    // AASM severity bands
+    function apneaSeverity(ahi) {
+        if (ahi < 5) return 'Normal';
+        if (ahi < 15) return 'Mild';
+        if (ahi < 30) return 'Moderate';
+        return 'Severe';
+    }
+
+    // Pregnancy and oral contraceptives only apply to female profiles
+    function updateFemaleOnly(s) {
+        const el = document.getElementById('female-caffeine-group');
+        if (!el) return;
+        el.style.display = s.gender === 'female' ? 'block' : 'none';
+        if (s.gender !== 'female') { s.pregnant = false; s.oralContraceptives = false; }
+    }
+
+    // Alcohol rows: clock time + standard drinks, edited in place
+    const drinkCounts = [1, 2, 3, 4, 5, 6];
+
+    function renderDrinkList(s) {
+        const list = document.getElementById('alcohol-list');
+        if (!list) return;
+        const fmt = (h) => `${String(Math.floor(h)).padStart(2, '0')}:${h % 1 ? '30' : '00'}`;
+        list.innerHTML = s.alcoholDrinks.map((d, i) => `
+            <div class="intake-row" data-index="${i}">
+                <select data-field="time">${intakeTimes.map(h => `<option value="${h}"${h === d.time ? ' selected' : ''}>${fmt(h)}</option>`).join('')}</select>
+                <select data-field="drinks">${drinkCounts.map(n => `<option value="${n}"${n === d.drinks ? ' selected' : ''}>${n} drink${n > 1 ? 's' : ''}</option>`).join('')}</select>
+                <button data-action="remove" title="Remove drinks">×</button>
+            </div>`).join('');
+
+        const addBtn = document.getElementById('add-drink-btn');
+        if (addBtn) addBtn.disabled = s.alcoholDrinks.length >= MAX_DRINK_ROUNDS;
+    }
+
+    const alcoholList = document.getElementById('alcohol-list');
+    if (alcoholList) {
+        alcoholList.addEventListener('change', (e) => {
+            const row = e.target.closest('.intake-row');
+            if (!row || !e.target.dataset.field) return;
+            states[activeProfile].alcoholDrinks[row.dataset.index][e.target.dataset.field] = parseFloat(e.target.value);
+            runSimulation(activeProfile);
+        });
+        alcoholList.addEventListener('click', (e) => {
+            const row = e.target.closest('.intake-row');
+            if (!row || e.target.dataset.action !== 'remove') return;
+            states[activeProfile].alcoholDrinks.splice(row.dataset.index, 1);
+            renderDrinkList(states[activeProfile]);
+            runSimulation(activeProfile);
+        });
+    }
+
+    const addDrinkBtn = document.getElementById('add-drink-btn');
+    if (addDrinkBtn) {
+        addDrinkBtn.addEventListener('click', () => {
+            const s = states[activeProfile];
+            if (s.alcoholDrinks.length >= MAX_DRINK_ROUNDS) return;
+            const last = s.alcoholDrinks[s.alcoholDrinks.length - 1];
+            s.alcoholDrinks.push({ time: last ? (last.time + 1) % 24 : 20, drinks: 1 });
+            renderDrinkList(s);
+            runSimulation(activeProfile);
+        });
+    }
+
+    // Medication rows: clock time, drug and dose, edited in place. The
+    // effects and sources of every drug in use are listed underneath.
+    const medEffectLabels = { latency: 'latency', n1: 'N1', n3: 'N3', rem: 'REM', waso: 'WASO' };
+
+    function medicationSummary(med) {
+        const parts = Object.entries(med.effects)
+            .filter(([, eff]) => eff !== 0)
+            .map(([key, eff]) => {
+                if (key === 'remLatency') return `REM onset +${Math.round(eff * 90)} min`;
+                return `${medEffectLabels[key]} ${eff > 0 ? '+' : '−'}${Math.round(Math.abs(eff) * 100)}%`;
+            });
+        return parts.join(', ');
+    }
+
+    function renderMedicationList(s) {
+        const list = document.getElementById('medication-list');
+        if (!list) return;
+        const fmt = (h) => `${String(Math.floor(h)).padStart(2, '0')}:${h % 1 ? '30' : '00'}`;
+        list.innerHTML = s.medications.map((m, i) => {
+            const med = MEDICATIONS[m.drug];
+            const doses = med.doses.includes(m.dose) ? med.doses : [...med.doses, m.dose].sort((a, b) => a - b);
+            return `
+            <div class="intake-row" data-index="${i}">
+                <select data-field="time">${intakeTimes.map(h => `<option value="${h}"${h === m.time ? ' selected' : ''}>${fmt(h)}</option>`).join('')}</select>
+                <select data-field="drug">${Object.entries(MEDICATIONS).map(([id, d]) => `<option value="${id}"${id === m.drug ? ' selected' : ''}>${d.label}</option>`).join('')}</select>
+                <select data-field="dose">${doses.map(d => `<option value="${d}"${d === m.dose ? ' selected' : ''}>${d} mg</option>`).join('')}</select>
+                <button data-action="remove" title="Remove medication">×</button>
+            </div>`;
+        }).join('');
+
+        const addBtn = document.getElementById('add-medication-btn');
+        if (addBtn) addBtn.disabled = s.medications.length >= MAX_MEDICATIONS;
+
+        const notes = document.getElementById('medication-citations');
+        if (notes) {
+            const drugs = [...new Set(s.medications.map(m => m.drug))];
+            notes.innerHTML = drugs.map(id => {
+                const med = MEDICATIONS[id];
+                return `<div class="citation"><strong>${med.label}</strong> (${med.category}, t½ ${med.halfLife} h, ${med.dose} mg): ${medicationSummary(med)}. <em>${med.citation}</em></div>`;
+            }).join('');
+        }
+    }
+
+    const medicationList = document.getElementById('medication-list');
+    if (medicationList) {
+        medicationList.addEventListener('change', (e) => {
+            const row = e.target.closest('.intake-row');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+            const m = states[activeProfile].medications[row.dataset.index];
+            if (field === 'drug') {
+                // New drug -> its typical dose
+                m.drug = e.target.value;
+                m.dose = MEDICATIONS[m.drug].dose;
+            } else {
+                m[field] = parseFloat(e.target.value);
+            }
+            renderMedicationList(states[activeProfile]);
+            runSimulation(activeProfile);
+        });
+        medicationList.addEventListener('click', (e) => {
+            const row = e.target.closest('.intake-row');
+            if (!row || e.target.dataset.action !== 'remove') return;
+            states[activeProfile].medications.splice(row.dataset.index, 1);
+            renderMedicationList(states[activeProfile]);
+            runSimulation(activeProfile);
+        });
+    }
+
+    const addMedicationBtn = document.getElementById('add-medication-btn');
+    if (addMedicationBtn) {
+        addMedicationBtn.addEventListener('click', () => {
+            const s = states[activeProfile];
+            if (s.medications.length >= MAX_MEDICATIONS) return;
+            s.medications.push({ drug: 'zolpidem', dose: MEDICATIONS.zolpidem.dose, time: 22 });
+            renderMedicationList(s);
+            runSimulation(activeProfile);
+        });
+    }
+
+    // Caffeine rows: clock time, source and dose, edited in place
+    const intakeTimes = Array.from({ length: 48 }, (_, i) => i / 2);
+
+    function renderCaffeineList(s) {
+        const list = document.getElementById('caffeine-list');
+        if (!list) return;
+        const fmt = (h) => `${String(Math.floor(h)).padStart(2, '0')}:${h % 1 ? '30' : '00'}`;
+        list.innerHTML = s.caffeineIntakes.map((c, i) => `
+            <div class="intake-row" data-index="${i}">
+                <select data-field="time">${intakeTimes.map(h => `<option value="${h}"${h === c.time ? ' selected' : ''}>${fmt(h)}</option>`).join('')}</select>
+                <select data-field="source">${Object.entries(CAFFEINE_SOURCES).map(([id, src]) => `<option value="${id}"${id === c.source ? ' selected' : ''}>${src.label}</option>`).join('')}</select>
+                <input type="number" data-field="mg" min="1" max="1000" step="1" value="${c.mg}" title="mg">
+                <button data-action="remove" title="Remove intake">×</button>
+            </div>`).join('');
+
+        const addBtn = document.getElementById('add-caffeine-btn');
+        if (addBtn) addBtn.disabled = s.caffeineIntakes.length >= MAX_INTAKES;
+    }
+
+    const caffeineList = document.getElementById('caffeine-list');
+    if (caffeineList) {
+        caffeineList.addEventListener('change', (e) => {
+            const row = e.target.closest('.intake-row');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+            const intake = states[activeProfile].caffeineIntakes[row.dataset.index];
+            if (field === 'source') {
+                // New source -> its typical dose
+                intake.source = e.target.value;
+                intake.mg = CAFFEINE_SOURCES[intake.source].mg;
+                renderCaffeineList(states[activeProfile]);
+            } else {
+                const val = parseFloat(e.target.value);
+                if (!Number.isFinite(val) || (field === 'mg' && (val <= 0 || val > 1000))) return;
+                intake[field] = val;
+            }
+            runSimulation(activeProfile);
+        });
+        caffeineList.addEventListener('click', (e) => {
+            const row = e.target.closest('.intake-row');
+            if (!row || e.target.dataset.action !== 'remove') return;
+            states[activeProfile].caffeineIntakes.splice(row.dataset.index, 1);
+            renderCaffeineList(states[activeProfile]);
+            runSimulation(activeProfile);
+        });
+    }
+
+    const addCaffeineBtn = document.getElementById('add-caffeine-btn');
+    if (addCaffeineBtn) {
+        addCaffeineBtn.addEventListener('click', () => {
+            const s = states[activeProfile];
+            if (s.caffeineIntakes.length >= MAX_INTAKES) return;
+            const last = s.caffeineIntakes[s.caffeineIntakes.length - 1];
+            s.caffeineIntakes.push({ time: last ? (last.time + 3) % 24 : 8, mg: CAFFEINE_SOURCES.coffee.mg, source: 'coffee' });
+            renderCaffeineList(s);
+            runSimulation(activeProfile);
+        });
+    }
+
+    // Nap rows: clock time + duration, edited in place on the active profile
+    const napTimes = Array.from({ length: 48 }, (_, i) => i / 2);
+    const napDurations = [10, 20, 30, 45, 60, 90, 120, 180];
+
+    function renderNapList(s) {
+        const list = document.getElementById('nap-list');
+        if (!list) return;
+        const fmt = (h) => `${String(Math.floor(h)).padStart(2, '0')}:${h % 1 ? '30' : '00'}`;
+        list.innerHTML = s.naps.map((nap, i) => `
+            <div class="nap-row" data-index="${i}">
+                <select data-field="time">${napTimes.map(h => `<option value="${h}"${h === nap.time ? ' selected' : ''}>${fmt(h)}</option>`).join('')}</select>
+                <select data-field="duration">${napDurations.map(d => `<option value="${d}"${d === nap.duration ? ' selected' : ''}>${d} min</option>`).join('')}</select>
+                <button data-action="remove" title="Remove nap">×</button>
+            </div>`).join('');
+
+        const addBtn = document.getElementById('add-nap-btn');
+        if (addBtn) addBtn.disabled = s.naps.length >= MAX_NAPS;
+    }
+
+    const napList = document.getElementById('nap-list');
+    if (napList) {
+        napList.addEventListener('change', (e) => {
+            const row = e.target.closest('.nap-row');
+            if (!row || !e.target.dataset.field) return;
+            states[activeProfile].naps[row.dataset.index][e.target.dataset.field] = parseFloat(e.target.value);
+            runSimulation(activeProfile);
+        });
+        napList.addEventListener('click', (e) => {
+            const row = e.target.closest('.nap-row');
+            if (!row || e.target.dataset.action !== 'remove') return;
+            states[activeProfile].naps.splice(row.dataset.index, 1);
+            renderNapList(states[activeProfile]);
+            runSimulation(activeProfile);
+        });
+    }
+
+    const addNapBtn = document.getElementById('add-nap-btn');
+    if (addNapBtn) {
+        addNapBtn.addEventListener('click', () => {
+            const s = states[activeProfile];
+            if (s.naps.length >= MAX_NAPS) return;
+            const last = s.naps[s.naps.length - 1];
+            s.naps.push({ time: last ? (last.time + 2) % 24 : 14, duration: 30 });
+            renderNapList(s);
+            runSimulation(activeProfile);
+        });
+    }
+
+    // Start/length only apply to fixed rosters (rotating has its own)
+    function updateShiftUI(s) {
+        const el = document.getElementById('shift-options');
+        if (el) el.style.display = (s.shiftWork === 'night' || s.shiftWork === 'early') ? 'block' : 'none';
     }
 
     // --- Interaction ---
@@ -561,40 +454,29 @@ document.addEventListener('DOMContentLoaded', () => {
             compareMode = e.target.checked;
             document.body.classList.toggle('compare-active', compareMode);
 
-            const tabs = document.getElementById('profile-tabs');
-            const vizB = document.getElementById('viz-b');
-
+            const manager = document.getElementById('profile-manager');
             if (compareMode) {
-                tabs.style.display = 'flex';
-                vizB.style.display = 'flex';
+                // Comparing needs a second profile to start with
+                if (profiles.length < 2) addProfile(defaultState);
+                manager.style.display = 'block';
+                renderProfilePanels();
                 // Trigger resize after layout reflow
                 setTimeout(() => {
                     resizeAll();
-                    runSimulation('B');
+                    profiles.slice(1).forEach(p => runSimulation(p.id));
                 }, 50);
             } else {
-                tabs.style.display = 'none';
-                vizB.style.display = 'none';
-                switchProfile('A'); // Force back to A
+                manager.style.display = 'none';
+                switchProfile(profiles[0].id); // Force back to the baseline
+                renderProfilePanels();
                 // Trigger resize after layout reflow
                 setTimeout(() => {
                     resizeAll();
                 }, 50);
             }
-
-            // Toggle Label A Visibility
-            const labelA = document.querySelector('#viz-a .viz-label');
-            if (labelA) labelA.style.display = compareMode ? 'block' : 'none';
         });
     }
 
-    // Profile Tabs
-    document.querySelectorAll('.profile-tabs .tab').forEach(tab => {
-        tab.addEventListener('click', () => {
-            switchProfile(tab.dataset.profile);
-        });
-    });
-
     // Update Counter (Global Helper Override)
     window.updateCounter = (key, change) => {
         const s = states[activeProfile];
@@ -612,14 +494,62 @@ document.addEventListener('DOMContentLoaded', () => {
         const el = document.getElementById(id);
         if (!el) return;
         el.addEventListener(type === 'checkbox' ? 'change' : 'input', (e) => {
-            const val = type === 'checkbox' ? e.target.checked : (type === 'value' ? e.target.value : parseInt(e.target.value));
+            let val;
+            if (type === 'checkbox') val = e.target.checked;
+            else if (type === 'value') val = e.target.value;
+            else if (type === 'float') val = parseFloat(e.target.value);
+            else val = parseInt(e.target.value);
             states[activeProfile][key] = val;
 
             // Specific UI logic
-            if (key === 'caffeineTime') {
-                document.getElementById('caffeine-time-val').textContent = val;
+            if (key === 'shiftWork') {
+                // Typical start for the chosen roster
+                const s = states[activeProfile];
+                if (val === 'night') s.shiftStart = 22;
+                if (val === 'early') s.shiftStart = 6;
+                const startEl = document.getElementById('shift-start-select');
+                if (startEl) startEl.value = s.shiftStart;
+                updateShiftUI(s);
+            }
+            if (key === 'weight') {
+                document.getElementById('weight-val').textContent = val;
+            }
+            if (key === 'ahi') {
+                document.getElementById('ahi-val').textContent = val;
+                document.getElementById('ahi-severity').textContent = apneaSeverity(val);
+            }
+            if (key === 'plmIndex') {
+                document.getElementById('plm-val').textContent = val;
+            }
+            if (key === 'sleepDebt') {
+                document.getElementById('sleep-debt-val').textContent = (val / 60).toFixed(1);
+            }
+            if (key === 'shiftLength') {
+                document.getElementById('shift-length-val').textContent = val;
+            }
+            if (key === 'exposureNights') {
+                document.getElementById('exposure-nights-val').textContent = val;
+            }
+            if (key === 'upperThreshold' || key === 'lowerThreshold') {
+                const valId = key === 'upperThreshold' ? 'upper-threshold-val' : 'lower-threshold-val';
+                document.getElementById(valId).textContent = val.toFixed(2);
+            }
+            if (key === 'age' || key === 'ageMonths') {
+                if (playback.age !== null) stopPlayback(); // Setting an age by hand ends playback
+            }
+            if (key === 'age') {
+                // Months follow the years slider (and vice versa) under 3
+                const s = states[activeProfile];
+                s.ageMonths = s.age < 3 ? s.age * 12 : 0;
+                updateAgeMonthsUI(s);
             }
-            if (key === 'age' || key === 'gender') { // Gender handled separately but age needs check
+            if (key === 'ageMonths') {
+                const s = states[activeProfile];
+                s.age = Math.floor(val / 12);
+                document.getElementById('age-slider').value = s.age;
+                document.getElementById('age-months-val').textContent = val;
+            }
+            if (key === 'age' || key === 'gender' || key === 'ageMonths') { // Gender handled separately but age needs check
                 const s = states[activeProfile];
                 document.getElementById('age-value').textContent = s.age;
                 const menGrp = document.getElementById('menopause-group');
@@ -628,7 +558,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             // Visual-only check
-            const isVisual = ['showProcessS', 'showProcessC', 'showGH', 'showCortisol'].includes(key);
+            const isVisual = visualKeys.includes(key);
             if (isVisual) {
                 drawVisuals(activeProfile);
             } else {
@@ -647,6 +577,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     const menGrp = document.getElementById('menopause-group');
                     if (s.age >= 40 && s.age <= 60 && s.gender === 'female') menGrp.style.display = 'block';
                     else { menGrp.style.display = 'none'; s.isMenopausal = false; }
+                    updateFemaleOnly(s);
                 }
                 runSimulation(activeProfile);
             });
@@ -654,9 +585,16 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     bind('age-slider', 'age', 'int');
+    bind('age-months-slider', 'ageMonths', 'int');
     bind('jetlag-select', 'jetLag');
     bind('social-jetlag-toggle', 'socialJetLag', 'checkbox');
-    bind('sdb-slider', 'sdbSeverity', 'int');
+    bind('ahi-slider', 'ahi', 'int');
+    bind('cpap-toggle', 'cpap', 'checkbox');
+    bind('insomnia-select', 'insomnia');
+    bind('narcolepsy-toggle', 'narcolepsy', 'checkbox');
+    bind('plm-slider', 'plmIndex', 'int');
+    bind('rls-toggle', 'restlessLegs', 'checkbox');
+    bind('phase-disorder-select', 'phaseDisorder');
     bind('menopause-toggle', 'isMenopausal', 'checkbox');
     bind('chronotype-select', 'chronotype');
     bind('nocturia-slider', 'nocturia', 'int'); // Wait, ID was nocturia-slider? 
@@ -668,22 +606,190 @@ document.addEventListener('DOMContentLoaded', () => {
     bind('process-c-toggle', 'showProcessC', 'checkbox');
     bind('gh-toggle', 'showGH', 'checkbox');
     bind('cortisol-toggle', 'showCortisol', 'checkbox');
-    bind('caffeine-time-slider', 'caffeineTime', 'int');
+    bind('caffeine-toggle', 'showCaffeine', 'checkbox');
+    bind('bac-toggle', 'showBAC', 'checkbox');
+    bind('weight-slider', 'weight', 'int');
+    bind('smoker-toggle', 'smoker', 'checkbox');
+    bind('oc-toggle', 'oralContraceptives', 'checkbox');
+    bind('pregnant-toggle', 'pregnant', 'checkbox');
     bind('blue-light-toggle', 'blueLight', 'checkbox');
+    bind('seed-input', 'seed', 'int');
+    bind('wake-time-select', 'wakeTime');
+    bind('upper-threshold-slider', 'upperThreshold', 'float');
+    bind('lower-threshold-slider', 'lowerThreshold', 'float');
+    bind('nights-select', 'nights', 'int');
+    bind('exposure-nights-slider', 'exposureNights', 'int');
+    bind('shift-work-select', 'shiftWork');
+    bind('shift-start-select', 'shiftStart', 'int');
+    bind('shift-length-slider', 'shiftLength', 'int');
+    bind('sleep-pattern-select', 'sleepPattern');
+    bind('bedtime-select', 'fixedBedtime');
+    bind('alarm-select', 'alarmTime');
+    bind('sleep-debt-slider', 'sleepDebt', 'int');
+
+    // Reshuffle: draw a fresh seed for the active profile only
+    const reshuffleBtn = document.getElementById('reshuffle-btn');
+    if (reshuffleBtn) {
+        reshuffleBtn.addEventListener('click', () => {
+            const s = states[activeProfile];
+            s.seed = Math.floor(Math.random() * 100000);
+            document.getElementById('seed-input').value = s.seed;
+            runSimulation(activeProfile);
+        });
+    }
 
     bindRadios('gender', 'gender');
     bindRadios('metabolism', 'caffeineMetabolism');
 
 
+    // --- Import ---
+
+    const importFile = document.getElementById('import-file');
+    const importStatus = document.getElementById('import-status');
+    const importClear = document.getElementById('import-clear-btn');
+
+    function updateImportUI() {
+        const imported = importedNights[activeProfile];
+        if (importStatus) {
+            importStatus.textContent = imported
+                ? `${imported.name}: ${imported.stages.length} epochs (${(imported.stats.tib / 60).toFixed(1)}h)`
+                : 'Overlay a real night on this profile.';
+        }
+        if (importClear) importClear.style.display = imported ? 'block' : 'none';
+        if (importFile) importFile.value = '';
+    }
+
+    if (importFile) {
+        importFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const profileId = activeProfile;
+            const isEDF = /\.edf$/i.test(file.name);
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    const parsed = isEDF
+                        ? EpochScoring.fromEDF(new Uint8Array(reader.result))
+                        : EpochScoring.fromCSV(reader.result);
+                    importedNights[profileId] = { name: file.name, ...parsed, stats: EpochScoring.statsFromEpochs(parsed.stages) };
+                    updateImportUI();
+                    drawVisuals(profileId);
+                } catch (err) {
+                    console.error('Import Error', err);
+                    importStatus.textContent = `Could not read ${file.name}: ${err.message}`;
+                }
+            };
+            if (isEDF) reader.readAsArrayBuffer(file);
+            else reader.readAsText(file);
+        });
+    }
+
+    if (importClear) {
+        importClear.addEventListener('click', () => {
+            importedNights[activeProfile] = null;
+            updateImportUI();
+            drawVisuals(activeProfile);
+        });
+    }
+
+    // Imported epochs -> blocks on the hypnogram axis. Uses the file's clock
+    // time when it has one, else lines up with the simulated lights-off.
+    function alignImported(imported, simResult) {
+        let start = simResult.blocks[0].start;
+        if (imported.startClock !== null) {
+            start = ((imported.startClock - 18 * 60) % 1440 + 1440) % 1440;
+        }
+        return EpochScoring.toBlocks(imported.stages, start);
+    }
+
+    function renderImportCompare(profileId, simResult) {
+        const el = profileEl(profileId, 'import-compare');
+        if (!el) return;
+        const imported = importedNights[profileId];
+        if (!imported) { el.style.display = 'none'; return; }
+
+        // Same epoch-based metrics for both nights
+        const sim = EpochScoring.statsFromEpochs(EpochScoring.toEpochs(simResult).map(e => e.stage));
+        const real = imported.stats;
+        const s = states[profileId];
+
+        // [label, key, format, deviation threshold, higher is better]
+        const rows = [
+            ['Total Sleep', 'tst', v => `${(v / 60).toFixed(1)}h`, 30, true],
+            ['Efficiency', 'sleepEfficiency', v => `${Math.round(v)}%`, 5, true],
+            ['Latency', 'latency', v => `${Math.round(v)}m`, 15, false],
+            ['WASO', 'wasoMins', v => `${Math.round(v)}m`, 20, false],
+            ['REM Latency', 'remLatency', v => (v === null ? '–' : `${Math.round(v)}m`), 30, null],
+            ['N1', 'n1P', v => `${Math.round(v * 100)}%`, 0.05, false],
+            ['N2', 'n2P', v => `${Math.round(v * 100)}%`, 0.05, null],
+            ['N3', 'n3P', v => `${Math.round(v * 100)}%`, 0.05, true],
+            ['REM', 'remP', v => `${Math.round(v * 100)}%`, 0.05, true]
+        ];
+
+        const body = rows.map(([label, key, fmt, threshold, higherIsBetter]) => {
+            const a = real[key];
+            const b = sim[key];
+            let cls = '';
+            if (a !== null && b !== null && Math.abs(a - b) >= threshold) {
+                cls = 'deviation';
+                if (higherIsBetter !== null) cls += (a > b) === higherIsBetter ? ' better' : ' worse';
+            }
+            return `<tr class="${cls}"><td>${label}</td><td>${fmt(a)}</td><td>${fmt(b)}</td></tr>`;
+        }).join('');
+
+        el.innerHTML = `
+            <table>
+                <thead><tr><th>Metric</th><th>${escapeHtml(imported.name)}</th><th>Typical ${s.age}y ${s.gender}</th></tr></thead>
+                <tbody>${body}</tbody>
+            </table>`;
+        el.style.display = 'block';
+    }
+
+    // --- Export ---
+
+    function downloadFile(filename, data, type) {
+        const blob = new Blob([data], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    function exportNight(format) {
+        const result = cachedSimulations[activeProfile];
+        if (!result) return;
+        // Multi-Night: export the final night (the one on the dashboard)
+        const night = result.nights ? result.nights[result.nights.length - 1] : result;
+        const s = states[activeProfile];
+        const name = `sleep-sim-${activeProfile.toLowerCase()}-${s.gender}-${s.age}y${result.nights ? `-night${night.night}` : ''}`;
+
+        if (format === 'csv') downloadFile(`${name}.csv`, EpochScoring.toCSV(night), 'text/csv');
+        if (format === 'json') downloadFile(`${name}.json`, EpochScoring.toJSON(night, { profile: activeProfile, config: s }), 'application/json');
+        if (format === 'edf') {
+            const edf = EpochScoring.toEDF(night, { date: new Date(), sex: s.gender === 'female' ? 'F' : 'M', patient: `Simulated_${s.age}y` });
+            downloadFile(`${name}.edf`, edf, 'application/octet-stream');
+        }
+    }
+
+    ['csv', 'edf', 'json'].forEach(format => {
+        const btn = document.getElementById(`export-${format}-btn`);
+        if (btn) btn.addEventListener('click', () => exportNight(format));
+    });
+
     // --- Graphics ---
 
     function resizeAll() {
-        resizeCanvas('A');
-        resizeCanvas('B');
+        visibleProfiles().forEach(resizeCanvas);
+        drawNorms();
+        drawDiff();
     }
 
     function resizeCanvas(profileId) {
-        const c = profileId === 'A' ? canvasA : canvasB;
+        const c = profileEl(profileId, 'hypnogram');
         if (!c || c.style.display === 'none') return;
 
         // We need to fit container
@@ -696,13 +802,70 @@ document.addEventListener('DOMContentLoaded', () => {
 
     window.addEventListener('resize', resizeAll);
 
+    const stageColors = {
+        [0]: '#ef4444',
+        [1]: '#f59e0b',
+        [2]: '#38bdf8',
+        [3]: '#3b82f6',
+        [4]: '#1d4ed8'
+    };
+    const stageLabels = ["Wake", "REM", "N1", "N2", "N3"];
+
+    // Axis minutes (0 = 18:00) -> "h:00"; any window, including before 18:00
+    function hourLabel(m) {
+        return `${Math.floor((((18 * 60 + m) % 1440) + 1440) % 1440 / 60)}:00`;
+    }
+
+    // Axis minutes -> "h:mm"
+    function clockLabel(m) {
+        const clock = ((Math.round(18 * 60 + m) % 1440) + 1440) % 1440;
+        return `${Math.floor(clock / 60)}:${String(clock % 60).padStart(2, '0')}`;
+    }
+
+    // Y-axis stage names: infants have active / quiet sleep
+    function stageLabelsFor(params) {
+        return params.infant
+            ? ['Wake', 'Active', 'Trans.', 'N2', params.infant.quietN3 >= 1 ? 'Quiet' : 'N3']
+            : stageLabels;
+    }
+
     // Re-implemented drawing functions to use passed CTX
     function drawBackground(ctx, params, timeToX, padding, height, viewStart, viewEnd) {
+        // Work shifts (hatched) behind everything else
+        if (params.shift) {
+            params.shift.periods.forEach(p => {
+                const x1 = Math.max(padding.left, timeToX(p.start));
+                const x2 = Math.min(ctx.canvas.width - padding.right, timeToX(p.end));
+                if (x2 <= x1) return;
+                ctx.fillStyle = 'rgba(148, 163, 184, 0.08)';
+                ctx.fillRect(x1, padding.top, x2 - x1, height);
+                ctx.fillStyle = 'rgba(148, 163, 184, 0.6)';
+                ctx.font = '10px Inter';
+                ctx.textAlign = 'center';
+                ctx.fillText('Work Shift', (x1 + x2) / 2, padding.top + height - 6);
+            });
+        }
+
         let start, end;
         if (params.chronotype === 'lark') { start = 120; end = 600; }
         else if (params.chronotype === 'owl') { start = 420; end = 900; }
         else { start = 240; end = 720; }
 
+        // Jet lag: the biological window moves with the body clock
+        start += params.circadianShift || 0;
+        end += params.circadianShift || 0;
+        // Shift work: only as far as the body clock has adapted
+        if (params.shift) {
+            start += params.shift.bodyClockShift;
+            end += params.shift.bodyClockShift;
+        }
+
+        // Daytime sleep can sit nearer the previous or next biological night
+        const mid = (viewStart + viewEnd) / 2;
+        const dayOffset = Math.round((mid - (start + end) / 2) / 1440) * 1440;
+        start += dayOffset;
+        end += dayOffset;
+
         const x1 = Math.max(padding.left, timeToX(start));
         const x2 = Math.min(ctx.canvas.width - padding.right, timeToX(end));
 
@@ -750,50 +913,45 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.font = 'bold 11px Inter';
             ctx.textAlign = 'center';
             // Clamp text to canvas logic? Nah, usually TIB is end of graph now.
-            ctx.fillText("End of Sleep", xEnd, padding.top - 20);
+            ctx.fillText(params.alarmRang ? "Alarm" : "End of Sleep", xEnd, padding.top - 20);
             ctx.font = '10px Inter';
             ctx.fillText(`(${(params.tib / 60).toFixed(1)}h)`, xEnd, padding.top - 8);
         }
 
-        // Models
-        const models = TwoProcessModel.getCurves(params.tib, params.chronotype, state_local.caffeine, state_local.caffeineTime, state_local.caffeineMetabolism, state_local.blueLight);
+        // Models (Two-Process engine, same parameters the generator used)
+        const tp = params.twoProcess;
+        const series = TwoProcessModel.simulate(tp.model, {
+            priorWake: tp.priorWake, S0: tp.S0, sleepStart: tp.sleepOnset, sleepEnd,
+            from: viewStart, to: viewEnd, step: 5, bedtime: tp.bedtime, naps: tp.naps,
+            caffeine: params.caffeine
+        });
+        const valueToY = (v) => (height + padding.top) - (v * height * 0.9);
+
+        const strokeSeries = (key, mapValue = (v) => v) => {
+            let first = true;
+            series.forEach(p => {
+                const x = timeToX(p.t);
+                const y = valueToY(mapValue(p[key]));
+                if (first) { ctx.moveTo(x, y); first = false; } else ctx.lineTo(x, y);
+            });
+        };
 
         // Process S
         if (state_local.showProcessS) {
-            const hoursAwakeBeforeStart = 11;
-            const S_start = 1 - Math.exp(-(hoursAwakeBeforeStart * 60) / models.tau_r);
+            // Thresholds (sleep onset / spontaneous wake-up)
+            ctx.strokeStyle = 'rgba(250, 204, 21, 0.35)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath(); strokeSeries('upper'); ctx.stroke();
+            ctx.beginPath(); strokeSeries('lower'); ctx.stroke();
+            ctx.setLineDash([]);
 
             ctx.beginPath();
             ctx.strokeStyle = '#facc15';
             ctx.lineWidth = 4;
             ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
             ctx.shadowBlur = 4;
-
-            let first = true;
-            for (let t = Math.floor(viewStart); t <= Math.ceil(viewEnd); t += 5) {
-                const x = timeToX(t);
-                let S = 0;
-                if (t < sleepStart) S = 1 - (1 - S_start) * Math.exp(-t / models.tau_r);
-                else if (t < sleepEnd) {
-                    const S_onset = 1 - (1 - S_start) * Math.exp(-sleepStart / models.tau_r);
-                    S = S_onset * Math.exp(-(t - sleepStart) / models.tau_d);
-                } else {
-                    const S_end = (1 - (1 - S_start) * Math.exp(-sleepStart / models.tau_r)) * Math.exp(-(sleepEnd - sleepStart) / models.tau_d);
-                    S = 1 - (1 - S_end) * Math.exp(-(t - sleepEnd) / models.tau_r);
-                }
-
-                // Caffeine Block
-                const intakeTime = sleepStart - (models.caffeineTime * 60);
-                let caffeineBlock = 0;
-                if (models.caffeine > 0 && t >= intakeTime) {
-                    const timeSinceIntake = (t - intakeTime) / 60;
-                    caffeineBlock = (models.caffeine * 0.1) * Math.pow(0.5, timeSinceIntake / models.halfLife);
-                }
-
-                let effectiveS = Math.max(0, S - caffeineBlock);
-                const y = (height + padding.top) - (effectiveS * height * 0.9);
-                if (first) { ctx.moveTo(x, y); first = false; } else ctx.lineTo(x, y);
-            }
+            strokeSeries('effectiveS');
             ctx.stroke();
             ctx.shadowBlur = 0;
             ctx.fillStyle = '#facc15';
@@ -807,19 +965,34 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.lineWidth = 4;
             ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
             ctx.shadowBlur = 4;
-
-            let first = true;
-            for (let t = Math.floor(viewStart); t <= Math.ceil(viewEnd); t += 5) {
-                const x = timeToX(t);
-                const period = 24 * 60;
-                const phase = (t - models.peakTime) / period * 2 * Math.PI;
-                const C = 0.5 + 0.4 * Math.cos(phase);
-                const y = (height + padding.top) - (C * height * 0.9);
-                if (first) { ctx.moveTo(x, y); first = false; } else ctx.lineTo(x, y);
-            }
+            strokeSeries('C', (c) => 0.5 + 0.4 * c);
             ctx.stroke();
             ctx.shadowBlur = 0;
         }
+        return series; // Kept with the drawn view for the hover tooltip
+    }
+
+    // Growth hormone: one pulse ~70 min into sleep (relative units)
+    function ghLevel(t, sleepStart, sleepEnd) {
+        let gh = 0.1;
+        if (t >= sleepStart && t <= sleepEnd) {
+            const timeAsleep = t - sleepStart;
+            const peak = 70; const sigma = 25;
+            const pulse = Math.exp(-Math.pow(timeAsleep - peak, 2) / (2 * Math.pow(sigma, 2)));
+            gh += pulse * 0.8;
+        }
+        return gh;
+    }
+
+    // Cortisol: rises over the last 3h of sleep, peaks 30 min after waking (relative units)
+    function cortisolLevel(t, wakeTime) {
+        if (t < wakeTime - 180) return 0.2;
+        if (t <= wakeTime + 30) {
+            const progress = (t - (wakeTime - 180)) / 210;
+            return 0.2 + (0.7 * Math.pow(progress, 2));
+        }
+        const timeSincePeak = t - (wakeTime + 30);
+        return 0.9 * Math.exp(-timeSincePeak / 180);
     }
 
     function drawHormones(ctx, params, state_local, timeToX, padding, height, width, viewStart, viewEnd) {
@@ -835,13 +1008,7 @@ document.addEventListener('DOMContentLoaded', () => {
             let first = true;
             for (let t = Math.floor(viewStart); t <= Math.ceil(viewEnd); t += 5) {
                 const x = timeToX(t);
-                let gh = 0.1;
-                if (t >= sleepStart && t <= sleepEnd) {
-                    const timeAsleep = t - sleepStart;
-                    const peak = 70; const sigma = 25;
-                    const pulse = Math.exp(-Math.pow(timeAsleep - peak, 2) / (2 * Math.pow(sigma, 2)));
-                    gh += pulse * 0.8;
-                }
+                const gh = ghLevel(t, sleepStart, sleepEnd);
                 const y = (height + padding.top) - (gh * height * 0.9);
                 if (first) { ctx.moveTo(x, y); first = false; } else ctx.lineTo(x, y);
             }
@@ -856,19 +1023,10 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.shadowColor = 'rgba(249, 115, 22, 0.5)';
             ctx.shadowBlur = 8;
 
-            const wakeTime = sleepEnd;
             let first = true;
             for (let t = Math.floor(viewStart); t <= Math.ceil(viewEnd); t += 5) {
                 const x = timeToX(t);
-                let cort = 0.2;
-                if (t < wakeTime - 180) { cort = 0.2; }
-                else if (t <= wakeTime + 30) {
-                    const progress = (t - (wakeTime - 180)) / 210;
-                    cort = 0.2 + (0.7 * Math.pow(progress, 2));
-                } else {
-                    const timeSincePeak = t - (wakeTime + 30);
-                    cort = 0.9 * Math.exp(-timeSincePeak / 180);
-                }
+                const cort = cortisolLevel(t, sleepEnd);
                 const y = (height + padding.top) - (cort * height * 0.9);
                 if (first) { ctx.moveTo(x, y); first = false; } else ctx.lineTo(x, y);
             }
@@ -877,15 +1035,89 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    function drawHypnogram(ctx, canvas, simResult, state_local) {
-        const { blocks, wakeEvents, params, stats } = simResult;
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    // Caffeine plasma concentration (mg/L), scaled to the highest level in view
+    function drawCaffeine(ctx, params, state_local, timeToX, padding, height, viewStart, viewEnd) {
+        const { intakes, pk } = params.caffeine;
+        if (!state_local.showCaffeine || !intakes.length) return;
 
-        const padding = { top: 50, right: 30, bottom: 40, left: 60 };
-        const width = canvas.width - padding.left - padding.right;
-        const height = canvas.height - padding.top - padding.bottom;
+        const points = [];
+        for (let t = Math.floor(viewStart); t <= Math.ceil(viewEnd); t += 5) {
+            points.push({ t, c: CaffeineModel.concentration(intakes, t, pk) });
+        }
+        const peak = Math.max(...points.map(p => p.c));
+        const scale = Math.max(5, Math.ceil(peak)); // mg/L at full height
+
+        ctx.beginPath();
+        ctx.strokeStyle = '#d97706';
+        ctx.lineWidth = 3;
+        ctx.shadowColor = 'rgba(217, 119, 6, 0.5)';
+        ctx.shadowBlur = 8;
+        points.forEach((p, i) => {
+            const x = timeToX(p.t);
+            const y = (height + padding.top) - (p.c / scale) * height * 0.9;
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+
+        // Intake markers
+        ctx.fillStyle = '#d97706';
+        intakes.forEach(intake => {
+            if (intake.t < viewStart || intake.t > viewEnd) return;
+            const x = timeToX(intake.t);
+            ctx.beginPath();
+            ctx.arc(x, height + padding.top - 4, 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.font = '10px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText(`Caffeine (peak ${peak.toFixed(1)} mg/L)`, padding.left + 10, padding.top + 14);
+    }
+
+    // Blood alcohol (%), scaled to at least the 0.08% driving limit
+    function drawBAC(ctx, params, state_local, timeToX, padding, height, viewStart, viewEnd) {
+        const { drinks, pk } = params.alcohol;
+        if (!state_local.showBAC || !drinks.length) return;
+
+        const points = AlcoholModel.curve(drinks, viewStart, viewEnd, pk, 5);
+        const peak = Math.max(...points.map(p => p.bac));
+        const scale = Math.max(0.08, peak * 1.1);
+        const bacToY = (bac) => (height + padding.top) - (bac / scale) * height * 0.9;
+
+        // Legal driving limit (most of the US / UK)
+        ctx.strokeStyle = 'rgba(244, 63, 94, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 4]);
+        ctx.beginPath();
+        ctx.moveTo(timeToX(viewStart), bacToY(0.08));
+        ctx.lineTo(timeToX(viewEnd), bacToY(0.08));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.beginPath();
+        ctx.strokeStyle = '#f43f5e';
+        ctx.lineWidth = 3;
+        ctx.shadowColor = 'rgba(244, 63, 94, 0.5)';
+        ctx.shadowBlur = 8;
+        points.forEach((p, i) => {
+            const x = timeToX(p.t);
+            if (i === 0) ctx.moveTo(x, bacToY(p.bac)); else ctx.lineTo(x, bacToY(p.bac));
+        });
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+
+        ctx.fillStyle = '#f43f5e';
+        ctx.font = '10px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText(`BAC (peak ${peak.toFixed(3)}%)`, padding.left + 10, padding.top + 28);
+    }
+
+    // Dynamic Viewport Calculation: the sleep period (plus naps and any
+    // overlaid night) with an hour either side, at least 10 hours wide
+    function autoViewFor(simResult, overlay = null) {
+        const { params } = simResult;
 
-        // Dynamic Viewport Calculation
         // Center on Sleep Period
         const sleepStart = 240 + params.startTimeOffset;
         const sleepEnd = sleepStart + params.tib;
@@ -893,6 +1125,18 @@ document.addEventListener('DOMContentLoaded', () => {
         let viewStart = sleepStart - 60; // 1h buffer before
         let viewEnd = sleepEnd + 60;     // 1h buffer after
 
+        // Naps share the axis with the main sleep
+        const napBlocks = (simResult.naps || []).flatMap(n => n.blocks);
+        if (napBlocks.length) viewStart = Math.min(viewStart, napBlocks[0].start - 30);
+
+        // Include the overlaid night
+        if (overlay) {
+            const overlayBlocks = overlay.blocks;
+            const last = overlayBlocks[overlayBlocks.length - 1];
+            viewStart = Math.min(viewStart, overlayBlocks[0].start - 60);
+            viewEnd = Math.max(viewEnd, last.start + last.duration + 60);
+        }
+
         // Ensure minimum duration (e.g. 10 hours) to prevent excessive zoom
         const minDuration = 600;
         const currentDuration = viewEnd - viewStart;
@@ -901,6 +1145,27 @@ document.addEventListener('DOMContentLoaded', () => {
             viewStart -= extra / 2;
             viewEnd += extra / 2;
         }
+        return { viewStart, viewEnd };
+    }
+
+    // overlay: another night as a step trace ({ blocks, label, color }),
+    // e.g. an imported scoring or another profile in the aligned diff view
+    function drawHypnogram(ctx, canvas, simResult, state_local, overlay = null, zoomView = null) {
+        const { blocks, wakeEvents, params, stats } = simResult;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const padding = { top: 50, right: 30, bottom: 40, left: 60 };
+        const width = canvas.width - padding.left - padding.right;
+        const height = canvas.height - padding.top - padding.bottom;
+
+        // Zoomed / panned window replaces the automatic fit
+        const autoView = autoViewFor(simResult, overlay);
+        let { viewStart, viewEnd } = autoView;
+        const napBlocks = (simResult.naps || []).flatMap(n => n.blocks);
+        if (zoomView) {
+            viewStart = zoomView.viewStart;
+            viewEnd = zoomView.viewEnd;
+        }
 
         const totalViewMins = viewEnd - viewStart;
         const timeToX = (t) => padding.left + ((t - viewStart) / totalViewMins) * width;
@@ -912,14 +1177,6 @@ document.addEventListener('DOMContentLoaded', () => {
             [3]: padding.top + height * 0.60,
             [4]: padding.top + height * 0.80
         };
-        const stageColors = {
-            [0]: '#ef4444',
-            [1]: '#f59e0b',
-            [2]: '#38bdf8',
-            [3]: '#3b82f6',
-            [4]: '#1d4ed8'
-        };
-
         drawBackground(ctx, params, timeToX, padding, height, viewStart, viewEnd);
 
         // Grid
@@ -927,38 +1184,35 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.font = '11px Inter';
         ctx.textAlign = 'center';
 
-        // Determine grid step based on zoom? 
-        // 60 mins is usually fine for 10-12h view.
+        // Grid step follows the zoom: hourly for a whole night, down to 5 min
+        const gridStep = totalViewMins > 480 ? 60 : (totalViewMins > 180 ? 30 : (totalViewMins > 60 ? 10 : 5));
 
-        // Align to nearest hour
-        const startHourMins = Math.floor(viewStart / 60) * 60;
+        // Align to nearest step
+        const startHourMins = Math.floor(viewStart / gridStep) * gridStep;
 
-        for (let m = startHourMins; m <= viewEnd; m += 60) {
+        for (let m = startHourMins; m <= viewEnd; m += gridStep) {
             if (m < viewStart) continue; // Skip if before start
 
             const x = timeToX(m);
-            // Label logic: 0 = 18:00
-            const hourAbsolute = (18 + Math.floor(m / 60)) % 24;
-            const label = `${hourAbsolute}:00`;
-
-            ctx.fillText(label, x, canvas.height - 20);
+            ctx.fillText(gridStep === 60 ? hourLabel(m) : clockLabel(m), x, canvas.height - 20);
             ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
             ctx.beginPath(); ctx.moveTo(x, padding.top); ctx.lineTo(x, canvas.height - padding.bottom); ctx.stroke();
         }
 
         // Labels (Y-Axis)
+        const labels = stageLabelsFor(params);
         ctx.textAlign = 'right';
         Object.keys(stageY).forEach(stage => {
             const y = stageY[stage];
             ctx.fillStyle = stageColors[stage];
             ctx.font = 'bold 11px Inter';
-            ctx.fillText(["Wake", "REM", "N1", "N2", "N3"][stage], padding.left - 10, y + 4);
+            ctx.fillText(labels[stage], padding.left - 10, y + 4);
             ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
             ctx.beginPath(); ctx.moveTo(padding.left, y); ctx.lineTo(canvas.width - padding.right, y); ctx.stroke();
         });
 
         // Blocks
-        blocks.forEach(block => {
+        [...napBlocks, ...blocks].forEach(block => {
             // Clip? Or just let canvas handle it (since timeToX can go out of bounds)
             // Canvas handles out of bounds drawing fine usually, but gradients might be weird.
             // Let's check overlaps.
@@ -987,22 +1241,217 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.fillRect(x, y - 1, w, 4);
         });
 
-        // Wake Events
+        // Wake Events (apnea and PLM arousals as short ticks under the Wake line)
         ctx.lineWidth = 1; ctx.globalAlpha = 0.7;
         wakeEvents.forEach(wake => {
             if (wake.time < viewStart || wake.time > viewEnd) return;
             const x = timeToX(wake.time);
-            ctx.beginPath(); ctx.moveTo(x, padding.top); ctx.lineTo(x, height + padding.top);
-            ctx.strokeStyle = '#ef4444'; ctx.stroke();
+            ctx.beginPath(); ctx.moveTo(x, padding.top); ctx.lineTo(x, wake.apnea || wake.plm ? padding.top + height * 0.1 : height + padding.top);
+            ctx.strokeStyle = wake.plm ? '#a855f7' : '#ef4444'; ctx.stroke();
         });
+
+        // Limb movements along the bottom edge
+        if (params.plm) {
+            ctx.strokeStyle = '#a855f7';
+            params.plm.forEach(e => {
+                if (e.start < viewStart || e.start > viewEnd) return;
+                const x = timeToX(e.start);
+                ctx.beginPath(); ctx.moveTo(x, padding.top + height - 8); ctx.lineTo(x, padding.top + height); ctx.stroke();
+            });
+        }
         ctx.globalAlpha = 1.0;
 
-        drawCurves(ctx, params, state_local, timeToX, padding, height, width, viewStart, viewEnd);
+        // Overlaid Night (step trace over the simulated one)
+        if (overlay) {
+            ctx.strokeStyle = overlay.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            overlay.blocks.forEach((block, i) => {
+                const x1 = timeToX(Math.max(viewStart, block.start));
+                const x2 = timeToX(Math.min(viewEnd, block.start + block.duration));
+                const y = stageY[block.stage];
+                if (i === 0) ctx.moveTo(x1, y); else ctx.lineTo(x1, y);
+                ctx.lineTo(x2, y);
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = overlay.color;
+            ctx.font = 'bold 11px Inter';
+            ctx.textAlign = 'left';
+            ctx.fillText(`━ ${overlay.label}`, padding.left + 10, padding.top - 20);
+        }
+
+        const twoProcessTrace = drawCurves(ctx, params, state_local, timeToX, padding, height, width, viewStart, viewEnd);
         drawHormones(ctx, params, state_local, timeToX, padding, height, width, viewStart, viewEnd);
+        drawCaffeine(ctx, params, state_local, timeToX, padding, height, viewStart, viewEnd);
+        drawBAC(ctx, params, state_local, timeToX, padding, height, viewStart, viewEnd);
+
+        return { viewStart, viewEnd, padding, autoView, twoProcessTrace };
+    }
+
+    // SpO2 panel under the hypnogram, on the same time axis
+    function drawSpO2(profileId, result, view) {
+        const container = profileEl(profileId, 'spo2-container');
+        const c = profileEl(profileId, 'spo2-canvas');
+        if (!container || !c) return;
+        const apnea = result && !result.nights ? result.params.apnea : null;
+        container.style.display = apnea ? 'block' : 'none';
+        if (!apnea) return;
+
+        c.width = container.clientWidth;
+        c.height = container.clientHeight;
+        const ctx = c.getContext('2d');
+        ctx.clearRect(0, 0, c.width, c.height);
+
+        const { viewStart, viewEnd } = view;
+        const padding = { top: 18, right: view.padding.right, bottom: 8, left: view.padding.left };
+        const width = c.width - padding.left - padding.right;
+        const height = c.height - padding.top - padding.bottom;
+        const timeToX = (t) => padding.left + ((t - viewStart) / (viewEnd - viewStart)) * width;
+        const minY = 70;
+        const valueToY = (v) => padding.top + (1 - (Math.max(minY, v) - minY) / (100 - minY)) * height;
+
+        // Supine periods (shaded)
+        ctx.fillStyle = 'rgba(148, 163, 184, 0.08)';
+        apnea.positions.forEach(p => {
+            if (!p.supine) return;
+            const x1 = Math.max(padding.left, timeToX(p.start));
+            const x2 = Math.min(c.width - padding.right, timeToX(p.end));
+            if (x2 > x1) ctx.fillRect(x1, padding.top, x2 - x1, height);
+        });
+
+        // Grid: 90% is the T90 line
+        ctx.font = '10px Inter';
+        ctx.textAlign = 'right';
+        [100, 90, 80, 70].forEach(v => {
+            const y = valueToY(v);
+            ctx.strokeStyle = v === 90 ? 'rgba(239, 68, 68, 0.5)' : 'rgba(255, 255, 255, 0.1)';
+            ctx.setLineDash(v === 90 ? [4, 4] : []);
+            ctx.beginPath(); ctx.moveTo(padding.left, y); ctx.lineTo(c.width - padding.right, y); ctx.stroke();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillText(`${v}%`, padding.left - 10, y + 3);
+        });
+        ctx.setLineDash([]);
+
+        // Events: apneas red, hypopneas amber
+        apnea.events.forEach(e => {
+            if (e.start < viewStart || e.start > viewEnd) return;
+            const x1 = timeToX(e.start);
+            ctx.fillStyle = e.type === 'apnea' ? '#ef4444' : '#f59e0b';
+            ctx.fillRect(x1, padding.top - 6, Math.max(1, timeToX(e.start + e.duration) - x1), 4);
+        });
+
+        // Saturation trace
+        ctx.strokeStyle = '#22d3ee';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let started = false;
+        apnea.spo2.forEach(p => {
+            if (p.t < viewStart || p.t > viewEnd) return;
+            const x = timeToX(p.t);
+            const y = valueToY(p.spo2);
+            if (!started) { ctx.moveTo(x, y); started = true; } else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#22d3ee';
+        ctx.font = 'bold 11px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText(`SpO₂${apnea.cpap ? ' (CPAP on)' : ''}`, padding.left + 4, padding.top + 12);
+    }
+
+    // Multi-Night: one mini-hypnogram row per night on a shared clock axis
+    function drawActogram(ctx, canvas, series) {
+        const { nights } = series;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const padding = { top: 30, right: 30, bottom: 40, left: 70 };
+        const width = canvas.width - padding.left - padding.right;
+        const height = canvas.height - padding.top - padding.bottom;
+        const rowH = height / nights.length;
+
+        // Shared viewport across all nights
+        const napBlocks = nights.map(n => (n.naps || []).flatMap(nap => nap.blocks));
+        let viewStart = Math.min(...nights.map((n, i) => (napBlocks[i].length ? napBlocks[i][0] : n.blocks[0]).start)) - 60;
+        let viewEnd = Math.max(...nights.map(n => n.blocks[0].start + n.params.tib)) + 60;
+        const minDuration = 600;
+        if (viewEnd - viewStart < minDuration) {
+            const extra = minDuration - (viewEnd - viewStart);
+            viewStart -= extra / 2;
+            viewEnd += extra / 2;
+        }
+        const timeToX = (t) => padding.left + ((t - viewStart) / (viewEnd - viewStart)) * width;
+
+        // Hour Grid (0 = 18:00)
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'center';
+        for (let m = Math.ceil(viewStart / 60) * 60; m <= viewEnd; m += 60) {
+            const x = timeToX(m);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillText(hourLabel(m), x, canvas.height - 20);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+            ctx.beginPath(); ctx.moveTo(x, padding.top); ctx.lineTo(x, canvas.height - padding.bottom); ctx.stroke();
+        }
+
+        nights.forEach((night, i) => {
+            const rowTop = padding.top + i * rowH;
+            const rowBottom = rowTop + rowH * 0.9;
+            const depth = rowBottom - rowTop;
+
+            // Row Label
+            ctx.textAlign = 'right';
+            ctx.fillStyle = i < series.exposureNights ? '#f8fafc' : '#4ade80';
+            ctx.font = 'bold 11px Inter';
+            ctx.fillText(`Night ${night.night}`, padding.left - 10, rowTop + depth / 2 + 4);
+
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+            ctx.beginPath(); ctx.moveTo(padding.left, rowBottom); ctx.lineTo(canvas.width - padding.right, rowBottom); ctx.stroke();
+
+            // Blocks (Wake at the top of the row, N3 at the bottom)
+            [...napBlocks[i], ...night.blocks].forEach(block => {
+                const x = timeToX(Math.max(viewStart, block.start));
+                const w = timeToX(Math.min(viewEnd, block.start + block.duration)) - x;
+                if (w < 0.5) return;
+                const y = rowTop + depth * (block.stage * 0.2);
+                ctx.fillStyle = stageColors[block.stage];
+                ctx.globalAlpha = 0.35;
+                ctx.fillRect(x, y, w, rowBottom - y);
+                ctx.globalAlpha = 1.0;
+                ctx.fillRect(x, y, w, 2);
+            });
+        });
+    }
+
+    function renderNightTable(profileId, series) {
+        const el = profileEl(profileId, 'night-table');
+        if (!el) return;
+        if (!series) { el.style.display = 'none'; return; }
+
+        const rows = series.nights.map(n => {
+            const st = n.stats;
+            const shift = n.params.circadianShift;
+            return `
+                <tr>
+                    <td>Night ${n.night}${n.night <= series.exposureNights ? '' : ' (recovery)'}</td>
+                    <td>${(st.tst / 60).toFixed(1)}h</td>
+                    <td>${Math.round(st.sleepEfficiency)}%</td>
+                    <td>${Math.round(st.latency)}m</td>
+                    <td>${Math.round(st.wasoMins)}m</td>
+                    <td>${Math.round(st.n3P * 100)}%</td>
+                    <td>${(st.sleepDebt / 60).toFixed(1)}h</td>
+                    <td>${shift > 0 ? '+' : ''}${(shift / 60).toFixed(1)}h</td>
+                </tr>`;
+        }).join('');
+        el.innerHTML = `
+            <table>
+                <thead><tr><th>Night</th><th>TST</th><th>SE</th><th>Latency</th><th>WASO</th><th>N3</th><th>Debt In</th><th>Clock Shift</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+        el.style.display = 'block';
     }
 
     function drawPieChart(profileId, stats) {
-        const c = profileId === 'A' ? pieCanvasA : pieCanvasB;
+        const c = profileEl(profileId, 'pie-chart');
         if (!c) return;
         const ctx = c.getContext('2d');
         const width = c.width; const height = c.height;
@@ -1031,8 +1480,7 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
         // HTML Metrics
-        const suffix = profileId === 'A' ? '' : '-b';
-        const legendEl = document.getElementById('pie-legend' + suffix);
+        const legendEl = profileEl(profileId, 'pie-legend');
         if (legendEl) {
             legendEl.innerHTML = data.map(d => `
                 <div class="legend-item">
@@ -1041,24 +1489,1247 @@ document.addEventListener('DOMContentLoaded', () => {
                 </div>
             `).join('');
         }
-        const metricsEl = document.getElementById('metrics-display' + suffix);
+        const metricsEl = profileEl(profileId, 'metrics');
         if (metricsEl) {
             const se = stats.sleepEfficiency;
             const seColor = se < 75 ? '#ef4444' : (se < 85 ? '#facc15' : '#4ade80');
+            // Sleep lost vs. the age-typical need (naps count)
+            const needDelta = stats.tst + (stats.napMins || 0) - stats.sleepNeed;
+            const needColor = needDelta < -60 ? '#ef4444' : (needDelta < -15 ? '#facc15' : '#4ade80');
             metricsEl.innerHTML = `
                 <div class="metric-card"><div class="metric-value">${(stats.tib / 60).toFixed(1)}h</div><div class="metric-label">Time in Bed</div></div>
                 <div class="metric-card"><div class="metric-value">${(stats.tst / 60).toFixed(1)}h</div><div class="metric-label">Total Sleep</div></div>
                 <div class="metric-card"><div class="metric-value" style="color: ${seColor}">${Math.round(se)}%</div><div class="metric-label">Efficiency</div></div>
                 <div class="metric-card"><div class="metric-value">${Math.round(stats.latency)}m</div><div class="metric-label">Latency</div></div>
                 <div class="metric-card"><div class="metric-value">${Math.round(stats.wasoMins)}m</div><div class="metric-label">WASO</div></div>
+                <div class="metric-card"><div class="metric-value" style="color: ${stats.soremp ? '#ef4444' : '#f8fafc'}">${stats.remLatency === null ? '—' : `${Math.round(stats.remLatency)}m`}</div><div class="metric-label">REM Latency${stats.soremp ? ' (SOREMP)' : (stats.skippedFirstREM ? ' (1st REM skipped)' : '')}</div></div>
+                ${stats.cycles !== undefined ? `<div class="metric-card"><div class="metric-value">${stats.cycles}</div><div class="metric-label">Cycles${stats.meanCycleLength ? ` (~${Math.round(stats.meanCycleLength)}m)` : ''}</div></div>` : ''}
+                <div class="metric-card"><div class="metric-value" style="color: ${needColor}">${needDelta >= 0 ? '+' : '−'}${Math.abs(needDelta / 60).toFixed(1)}h</div><div class="metric-label">vs. Need (${(stats.sleepNeed / 60).toFixed(1)}h)</div></div>
+                ${stats.alarmCut && stats.alarmCut.sleep ? `<div class="metric-card"><div class="metric-value" style="color: #ef4444">${Math.round(stats.alarmCut.sleep)}m</div><div class="metric-label">Cut by Alarm (${Math.round(stats.alarmCut.rem)}m REM)</div></div>` : ''}
+                ${stats.ahi ? `<div class="metric-card"><div class="metric-value" style="color: ${stats.ahi >= 15 ? '#ef4444' : (stats.ahi >= 5 ? '#facc15' : '#4ade80')}">${stats.ahi.toFixed(1)}</div><div class="metric-label">AHI (${apneaSeverity(stats.ahi)})</div></div>
+                <div class="metric-card"><div class="metric-value">${stats.odi.toFixed(1)}</div><div class="metric-label">ODI (≥3%/h)</div></div>
+                <div class="metric-card"><div class="metric-value" style="color: ${stats.t90 >= 5 ? '#ef4444' : '#4ade80'}">${stats.t90.toFixed(1)}%</div><div class="metric-label">T90</div></div>
+                <div class="metric-card"><div class="metric-value" style="color: ${stats.spo2Nadir < 85 ? '#ef4444' : (stats.spo2Nadir < 90 ? '#facc15' : '#4ade80')}">${Math.round(stats.spo2Nadir)}%</div><div class="metric-label">SpO₂ Nadir</div></div>` : ''}
+                ${stats.plmIndex ? `<div class="metric-card"><div class="metric-value" style="color: ${stats.plmIndex >= 15 ? '#ef4444' : (stats.plmIndex >= 5 ? '#facc15' : '#4ade80')}">${stats.plmIndex.toFixed(1)}</div><div class="metric-label">PLM Index (${stats.plmArousalIndex.toFixed(1)} arousals/h)</div></div>` : ''}
+                ${stats.residualSedation > 0.05 ? `<div class="metric-card"><div class="metric-value" style="color: ${stats.residualSedation >= 0.3 ? '#ef4444' : (stats.residualSedation >= 0.1 ? '#facc15' : '#4ade80')}">${Math.round(stats.residualSedation * 100)}%</div><div class="metric-label">Residual Sedation at Wake</div></div>` : ''}
+                ${stats.bacAtBed > 0.001 ? `<div class="metric-card"><div class="metric-value" style="color: #f43f5e">${stats.bacAtBed.toFixed(3)}%</div><div class="metric-label">BAC at Lights-Out</div></div>` : ''}
+                ${stats.caffeineAtBed > 0.05 ? `<div class="metric-card"><div class="metric-value" style="color: #d97706">${stats.caffeineAtBed.toFixed(1)}</div><div class="metric-label">Caffeine at Lights-Out (mg/L)</div></div>` : ''}
+                ${stats.napMins ? `<div class="metric-card"><div class="metric-value">${Math.round(stats.napMins)}m</div><div class="metric-label">Nap Sleep${stats.naps ? ` (${stats.naps} naps)` : ''}</div></div>` : ''}
+                ${stats.nightWakings !== undefined ? `<div class="metric-card"><div class="metric-value">${stats.nightWakings}</div><div class="metric-label">Night Wakings</div></div>` : ''}
+                ${stats.misalignment ? `<div class="metric-card"><div class="metric-value" style="color: #facc15">${(stats.misalignment / 60).toFixed(1)}h</div><div class="metric-label">Misalignment</div></div>` : ''}
+            `;
+        }
+    }
+
+    // --- Presets ---
+    // Built-ins plus user presets in localStorage. Presets hold scenario values
+    // only: the overlay toggles of the profile they are applied to are kept.
+
+    const PRESET_STORAGE_KEY = 'sleepAgeSimulator.presets.v1';
+    const presetSelect = document.getElementById('preset-select');
+
+    function loadUserPresets() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored.filter(p => p && typeof p.name === 'string' && p.state) : [];
+        } catch (e) {
+            console.warn('Ignoring unreadable presets', e);
+            return [];
+        }
+    }
+
+    function saveUserPresets(presets) {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    }
+
+    function renderPresetOptions() {
+        if (!presetSelect) return;
+        const user = loadUserPresets();
+        presetSelect.innerHTML = `
+            <option value="">Choose a scenario…</option>
+            <optgroup label="Clinical Scenarios">
+                ${builtinPresets.map(p => `<option value="builtin:${p.id}">${escapeHtml(p.name)}</option>`).join('')}
+            </optgroup>
+            ${user.length ? `<optgroup label="My Presets">
+                ${user.map((p, i) => `<option value="user:${i}">${escapeHtml(p.name)}</option>`).join('')}
+            </optgroup>` : ''}`;
+    }
+
+    function findPreset(value) {
+        const [kind, id] = value.split(':');
+        if (kind === 'builtin') return builtinPresets.find(p => p.id === id) || null;
+        if (kind === 'user') return loadUserPresets()[parseInt(id, 10)] || null;
+        return null;
+    }
+
+    function applyPreset(preset) {
+        const current = states[activeProfile];
+        const next = sanitizeState(preset.state);
+        visualKeys.forEach(key => { next[key] = current[key]; });
+        states[activeProfile] = next;
+        updateInputsFromState(next);
+        runSimulation(activeProfile);
+    }
+
+    if (presetSelect) {
+        renderPresetOptions();
+        presetSelect.addEventListener('change', () => {
+            const preset = findPreset(presetSelect.value);
+            if (preset) applyPreset(preset);
+        });
+    }
+
+    const presetSaveBtn = document.getElementById('preset-save-btn');
+    if (presetSaveBtn) {
+        presetSaveBtn.addEventListener('click', () => {
+            const name = (window.prompt('Name for this preset:') || '').trim();
+            if (!name) return;
+            const user = loadUserPresets().filter(p => p.name !== name); // Same name overwrites
+            user.push({ name, state: stateDiff(states[activeProfile]) });
+            saveUserPresets(user);
+            renderPresetOptions();
+            presetSelect.value = `user:${user.length - 1}`;
+        });
+    }
+
+    const presetDeleteBtn = document.getElementById('preset-delete-btn');
+    if (presetDeleteBtn) {
+        presetDeleteBtn.addEventListener('click', () => {
+            const [kind, id] = presetSelect.value.split(':');
+            if (kind !== 'user') return;
+            const user = loadUserPresets();
+            user.splice(parseInt(id, 10), 1);
+            saveUserPresets(user);
+            renderPresetOptions();
+        });
+    }
+
+    const presetExportBtn = document.getElementById('preset-export-btn');
+    if (presetExportBtn) {
+        presetExportBtn.addEventListener('click', () => {
+            const file = { format: 'sleep-age-simulator/presets', version: 1, presets: loadUserPresets() };
+            downloadFile('sleep-sim-presets.json', JSON.stringify(file, null, 2), 'application/json');
+        });
+    }
+
+    const presetImportFile = document.getElementById('preset-import-file');
+    const presetImportBtn = document.getElementById('preset-import-btn');
+    if (presetImportBtn && presetImportFile) {
+        presetImportBtn.addEventListener('click', () => presetImportFile.click());
+        presetImportFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    const data = JSON.parse(reader.result);
+                    const incoming = Array.isArray(data) ? data : data.presets;
+                    if (!Array.isArray(incoming)) throw new Error('No presets array');
+
+                    // Validate through the same path as the URL state
+                    const valid = incoming
+                        .filter(p => p && typeof p.name === 'string' && p.name.trim())
+                        .map(p => ({ name: p.name.trim(), state: stateDiff(sanitizeState(p.state)) }));
+                    const names = valid.map(p => p.name);
+                    saveUserPresets([...loadUserPresets().filter(p => !names.includes(p.name)), ...valid]);
+                    renderPresetOptions();
+                } catch (err) {
+                    console.error('Preset Import Error', err);
+                    window.alert(`Could not import presets: ${err.message}`);
+                }
+                presetImportFile.value = '';
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    // --- URL State ---
+    // #v=2&s=<base64url JSON>: the profiles (id, name, colour) with only the
+    // values that differ from defaultState. v1 links (fixed A / B) still load.
+
+    const URL_STATE_VERSION = 2;
+
+    function encodeUrlState() {
+        const diff = (s) => {
+            const out = stateDiff(s);
+            visualKeys.forEach(key => { if (s[key] !== defaultState[key]) out[key] = s[key]; });
+            return out;
+        };
+        const payload = {
+            profiles: profiles.map(p => ({ id: p.id, name: p.name, color: p.color, state: diff(states[p.id]) })),
+            compare: compareMode
+        };
+        if (activeView !== 'hypnogram') payload.view = activeView;
+        if (alignedMode) payload.aligned = true;
+        if (profileLayout !== 'grid') payload.layout = profileLayout;
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        const b64 = btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `v=${URL_STATE_VERSION}&s=${b64}`;
+    }
+
+    // Unique single-letter ids, 1 to MAX_PROFILES of them
+    function sanitizeProfiles(raw) {
+        const clean = [];
+        (Array.isArray(raw) ? raw : []).forEach(p => {
+            if (!p || typeof p.id !== 'string' || !/^[A-Z]$/.test(p.id)) return;
+            if (clean.length >= MAX_PROFILES || clean.some(c => c.id === p.id)) return;
+            const name = typeof p.name === 'string' && p.name.trim() ? p.name.trim().slice(0, 40) : `Profile ${p.id}`;
+            const color = typeof p.color === 'string' && /^#[0-9a-f]{6}$/i.test(p.color) ? p.color : profilePalette[clean.length];
+            clean.push({ id: p.id, name, color, state: sanitizeState(p.state) });
+        });
+        return clean.length ? clean : [{ id: 'A', name: 'Profile A', color: profilePalette[0], state: sanitizeState({}) }];
+    }
+
+    function decodeUrlState(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const version = parseInt(params.get('v'), 10);
+        const data = params.get('s');
+        if ((version !== 1 && version !== URL_STATE_VERSION) || !data) return null;
+        try {
+            const b64 = data.replace(/-/g, '+').replace(/_/g, '/');
+            const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+            const payload = JSON.parse(new TextDecoder().decode(bytes));
+            const rawProfiles = version === 1
+                ? ['A', 'B'].map((id, i) => ({ id, name: `Profile ${id}`, color: profilePalette[i], state: payload[id] }))
+                : payload.profiles;
+            return {
+                profiles: sanitizeProfiles(rawProfiles),
+                compare: payload.compare === true,
+                view: payload.view === 'norms' ? 'norms' : 'hypnogram',
+                aligned: payload.aligned === true,
+                layout: payload.layout === 'stacked' ? 'stacked' : 'grid'
+            };
+        } catch (e) {
+            console.warn('Ignoring malformed URL state', e);
+            return null;
+        }
+    }
+
+    // Redraws (slider drags, playback, zoom) come in bursts: write the URL
+    // once they settle rather than on every frame
+    let urlWriteTimer = null;
+
+    function writeUrlState() {
+        clearTimeout(urlWriteTimer);
+        history.replaceState(null, '', `${location.pathname}${location.search}#${encodeUrlState()}`);
+    }
+
+    function scheduleUrlWrite() {
+        clearTimeout(urlWriteTimer);
+        urlWriteTimer = setTimeout(writeUrlState, 250);
+    }
+
+    function restoreUrlState() {
+        const restored = decodeUrlState(location.hash);
+        if (!restored) return false;
+        profiles = restored.profiles.map(({ id, name, color }) => ({ id, name, color }));
+        Object.keys(states).forEach(id => { delete states[id]; });
+        cachedSimulations = {};
+        const keptImports = importedNights;
+        importedNights = {};
+        restored.profiles.forEach(p => {
+            states[p.id] = p.state;
+            cachedSimulations[p.id] = null;
+            importedNights[p.id] = keptImports[p.id] || null;
+        });
+        profileLayout = restored.layout;
+        if (layoutSelect) layoutSelect.value = profileLayout;
+        renderProfilePanels();
+
+        if (compareToggle && compareToggle.checked !== restored.compare) {
+            compareToggle.checked = restored.compare;
+            compareToggle.dispatchEvent(new Event('change'));
+        }
+        if (alignedToggle && alignedToggle.checked !== restored.aligned) {
+            alignedToggle.checked = restored.aligned;
+            alignedToggle.dispatchEvent(new Event('change'));
+        }
+        switchProfile(profiles[0].id);
+        if (restored.view !== activeView) setView(restored.view);
+        return true;
+    }
+
+    window.addEventListener('hashchange', () => {
+        if (restoreUrlState()) visibleProfiles().forEach(runSimulation);
+    });
+
+    const copyLinkBtn = document.getElementById('copy-link-btn');
+    if (copyLinkBtn) {
+        copyLinkBtn.addEventListener('click', () => {
+            writeUrlState();
+            const done = (label) => {
+                copyLinkBtn.textContent = label;
+                setTimeout(() => { copyLinkBtn.textContent = 'Copy Link'; }, 1500);
+            };
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(location.href).then(() => done('Copied!'), () => done('Copy failed'));
+            } else {
+                window.prompt('Copy this link:', location.href);
+            }
+        });
+    }
+
+    // --- Hypnogram Zoom, Pan & Hover ---
+    // Per-profile window in axis minutes (null = automatic fit), and the
+    // window as last drawn for mapping the pointer back to time. The stacked
+    // layout shares one time axis, so zooming there moves every chart.
+    const zoomViews = {};
+    const drawnViews = {};
+    const minZoomSpan = 20;
+    const maxZoomSpan = 1440;
+
+    function chartOverlay(profileId, result) {
+        const imported = importedNights[profileId];
+        return imported ? { blocks: alignImported(imported, result), label: 'Imported night', color: '#f8fafc' } : null;
+    }
+
+    function sharedAxis() {
+        return compareMode && profileLayout === 'stacked';
+    }
+
+    // Union of the automatic windows of the single-night profiles on screen
+    function sharedView() {
+        const views = visibleProfiles()
+            .filter(id => cachedSimulations[id] && !cachedSimulations[id].nights)
+            .map(id => autoViewFor(cachedSimulations[id], chartOverlay(id, cachedSimulations[id])));
+        if (!views.length) return null;
+        return { viewStart: Math.min(...views.map(v => v.viewStart)), viewEnd: Math.max(...views.map(v => v.viewEnd)) };
+    }
+
+    function drawChart(profileId) {
+        const result = cachedSimulations[profileId];
+        const c = profileEl(profileId, 'hypnogram');
+        if (!result || result.nights || !c) return;
+        const zoomView = zoomViews[profileId] || (sharedAxis() ? sharedView() : null);
+        const view = drawHypnogram(c.getContext('2d'), c, result, states[profileId], chartOverlay(profileId, result), zoomView);
+        drawnViews[profileId] = view;
+        drawSpO2(profileId, result, view);
+
+        const resetBtn = profileEl(profileId, 'zoom-reset');
+        if (resetBtn) resetBtn.style.display = zoomViews[profileId] ? 'block' : 'none';
+    }
+
+    // Profiles a zoom gesture on this one applies to
+    function zoomTargets(profileId) {
+        return sharedAxis() ? visibleProfiles() : [profileId];
+    }
+
+    // Pointer x (canvas pixels) -> axis minutes
+    function timeAtX(profileId, x) {
+        const c = profileEl(profileId, 'hypnogram');
+        const v = drawnViews[profileId];
+        const width = c.width - v.padding.left - v.padding.right;
+        return v.viewStart + ((x - v.padding.left) / width) * (v.viewEnd - v.viewStart);
+    }
+
+    function setZoom(profileId, viewStart, viewEnd) {
+        const span = Math.max(minZoomSpan, Math.min(maxZoomSpan, viewEnd - viewStart));
+        const mid = (viewStart + viewEnd) / 2;
+        zoomTargets(profileId).forEach(id => {
+            zoomViews[id] = { viewStart: mid - span / 2, viewEnd: mid + span / 2 };
+            drawChart(id);
+        });
+    }
+
+    // Scale the window by `factor`, keeping minute t under the same pixel
+    function zoomAround(profileId, t, factor) {
+        const v = drawnViews[profileId];
+        const span = Math.max(minZoomSpan, Math.min(maxZoomSpan, (v.viewEnd - v.viewStart) * factor));
+        const viewStart = t - (t - v.viewStart) * span / (v.viewEnd - v.viewStart);
+        setZoom(profileId, viewStart, viewStart + span);
+    }
+
+    function resetZoom(profileId) {
+        zoomTargets(profileId).forEach(id => {
+            zoomViews[id] = null;
+            drawChart(id);
+        });
+    }
+
+    // Two-Process values at `t`, interpolated between the trace's samples
+    function traceAt(trace, t) {
+        const i = trace.findIndex(p => p.t > t);
+        if (i <= 0) return trace[i === 0 ? 0 : trace.length - 1];
+        const a = trace[i - 1];
+        const b = trace[i];
+        const f = (t - a.t) / (b.t - a.t);
+        return { effectiveS: a.effectiveS + (b.effectiveS - a.effectiveS) * f, C: a.C + (b.C - a.C) * f };
+    }
+
+    function hoverInfo(profileId, t) {
+        const result = cachedSimulations[profileId];
+        const s = states[profileId];
+        const { blocks, params } = result;
+        const napBlocks = (result.naps || []).flatMap(n => n.blocks);
+        const rows = [];
+
+        const block = [...napBlocks, ...blocks].find(b => t >= b.start && t < b.start + b.duration);
+        if (block) {
+            const label = stageLabelsFor(params)[block.stage];
+            rows.push(`<div class="tooltip-stage" style="color: ${stageColors[block.stage]}">${label}${napBlocks.includes(block) ? ' (nap)' : ''}</div>`);
+        } else {
+            rows.push('<div class="tooltip-stage">Out of bed</div>');
+        }
+        rows.push(`<div>Time <span>${clockLabel(t)}</span></div>`);
+        if (block) {
+            rows.push(`<div>Block <span>${Math.round(block.duration)}m (${clockLabel(block.start)}–${clockLabel(block.start + block.duration)})</span></div>`);
+        }
+
+        // Cycle number; WASO between cycles belongs to the one before
+        if (params.cycles && params.cycles.length && block && !napBlocks.includes(block)) {
+            const index = params.cycles.filter(c => c.start <= t).length;
+            if (index > 0) rows.push(`<div>Cycle <span>${index} of ${params.cycles.length}</span></div>`);
+        }
+
+        const sleepStart = 240 + params.startTimeOffset;
+        const sleepEnd = sleepStart + params.tib;
+        // S and C from the trace simulated for the last draw, not a fresh run per pointer move
+        const trace = drawnViews[profileId] && drawnViews[profileId].twoProcessTrace;
+        if ((s.showProcessS || s.showProcessC) && trace && trace.length) {
+            const p = traceAt(trace, t);
+            if (s.showProcessS) rows.push(`<div style="color: #facc15">Process S <span>${p.effectiveS.toFixed(2)}</span></div>`);
+            if (s.showProcessC) rows.push(`<div style="color: #a78bfa">Process C <span>${p.C >= 0 ? '+' : ''}${p.C.toFixed(2)}</span></div>`);
+        }
+        if (s.showGH) rows.push(`<div style="color: #2dd4bf">GH (rel.) <span>${ghLevel(t, sleepStart, sleepEnd).toFixed(2)}</span></div>`);
+        if (s.showCortisol) rows.push(`<div style="color: #f97316">Cortisol (rel.) <span>${cortisolLevel(t, sleepEnd).toFixed(2)}</span></div>`);
+        if (s.showCaffeine && params.caffeine.intakes.length) {
+            rows.push(`<div style="color: #d97706">Caffeine <span>${CaffeineModel.concentration(params.caffeine.intakes, t, params.caffeine.pk).toFixed(1)} mg/L</span></div>`);
+        }
+        if (s.showBAC && params.alcohol && params.alcohol.drinks.length) {
+            rows.push(`<div style="color: #f43f5e">BAC <span>${AlcoholModel.bac(params.alcohol.drinks, t, params.alcohol.pk).toFixed(3)}%</span></div>`);
+        }
+        return rows.join('');
+    }
+
+    function setupChartInteraction(profileId) {
+        const c = profileEl(profileId, 'hypnogram');
+        if (!c) return;
+        const tooltip = profileEl(profileId, 'tooltip');
+        const resetBtn = profileEl(profileId, 'zoom-reset');
+        if (resetBtn) resetBtn.addEventListener('click', () => resetZoom(profileId));
+
+        const active = () => drawnViews[profileId] && cachedSimulations[profileId] && !cachedSimulations[profileId].nights;
+        const pointerX = (e) => e.clientX - c.getBoundingClientRect().left;
+        const pointerY = (e) => e.clientY - c.getBoundingClientRect().top;
+        const hideTooltip = () => { if (tooltip) tooltip.style.display = 'none'; };
+
+        const showTooltip = (e) => {
+            if (!tooltip) return;
+            const x = pointerX(e);
+            const v = drawnViews[profileId];
+            if (x < v.padding.left || x > c.width - v.padding.right) { hideTooltip(); return; }
+            tooltip.innerHTML = hoverInfo(profileId, timeAtX(profileId, x));
+            tooltip.style.display = 'block';
+            // Keep inside the chart: flip to the left of the cursor near the edge
+            const left = x + 14 + tooltip.offsetWidth > c.width ? x - 14 - tooltip.offsetWidth : x + 14;
+            tooltip.style.left = `${Math.max(0, left)}px`;
+            tooltip.style.top = `${Math.max(0, Math.min(c.height - tooltip.offsetHeight, pointerY(e) + 14))}px`;
+        };
+
+        // Wheel / trackpad pinch (ctrl + wheel) zooms around the cursor
+        c.addEventListener('wheel', (e) => {
+            if (!active()) return;
+            e.preventDefault();
+            const factor = Math.exp(e.deltaY * (e.ctrlKey ? 0.01 : 0.0015));
+            zoomAround(profileId, timeAtX(profileId, pointerX(e)), factor);
+            showTooltip(e);
+        }, { passive: false });
+
+        // One pointer drags the window, two pinch it
+        const pointers = new Map();
+        let gesture = null;
+        const pinchState = () => {
+            const [a, b] = [...pointers.values()];
+            return { dist: Math.max(1, Math.abs(a - b)), x: (a + b) / 2 };
+        };
+
+        c.addEventListener('pointerdown', (e) => {
+            if (!active() || e.button !== 0) return;
+            c.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, pointerX(e));
+            const v = drawnViews[profileId];
+            const view = { viewStart: v.viewStart, viewEnd: v.viewEnd };
+            if (pointers.size === 1) gesture = { type: 'pan', x: pointerX(e), view };
+            else if (pointers.size === 2) {
+                const p = pinchState();
+                gesture = { type: 'pinch', dist: p.dist, t: timeAtX(profileId, p.x), view };
+            }
+            c.classList.add('dragging');
+            hideTooltip();
+        });
+
+        c.addEventListener('pointermove', (e) => {
+            if (!active()) return;
+            if (!pointers.has(e.pointerId)) { showTooltip(e); return; }
+            pointers.set(e.pointerId, pointerX(e));
+            const v = drawnViews[profileId];
+            const width = c.width - v.padding.left - v.padding.right;
+            if (gesture.type === 'pan') {
+                const span = gesture.view.viewEnd - gesture.view.viewStart;
+                const dt = ((pointerX(e) - gesture.x) / width) * span;
+                setZoom(profileId, gesture.view.viewStart - dt, gesture.view.viewEnd - dt);
+            } else if (pointers.size === 2) {
+                const p = pinchState();
+                const span = Math.max(minZoomSpan, Math.min(maxZoomSpan, (gesture.view.viewEnd - gesture.view.viewStart) * gesture.dist / p.dist));
+                // The minute under the pinch centre stays under it
+                const viewStart = gesture.t - ((p.x - v.padding.left) / width) * span;
+                setZoom(profileId, viewStart, viewStart + span);
+            }
+        });
+
+        const endGesture = (e) => {
+            pointers.delete(e.pointerId);
+            if (pointers.size === 0) {
+                gesture = null;
+                c.classList.remove('dragging');
+            } else if (pointers.size === 1 && drawnViews[profileId]) {
+                // Pinch -> pan with the remaining finger
+                const v = drawnViews[profileId];
+                gesture = { type: 'pan', x: [...pointers.values()][0], view: { viewStart: v.viewStart, viewEnd: v.viewEnd } };
+            }
+        };
+        c.addEventListener('pointerup', endGesture);
+        c.addEventListener('pointercancel', endGesture);
+        c.addEventListener('pointerleave', hideTooltip);
+        c.addEventListener('dblclick', () => { if (active()) resetZoom(profileId); });
+    }
+
+    // --- Lifespan Playback ---
+    // Animates age 0 -> 100 for the visible profiles. Each frame is a fresh
+    // night at a fractional age, so blocks and pie morph with the age norms.
+    // `age` is null outside playback mode; pausing keeps the mode on.
+    const playback = { playing: false, age: null, speed: 5, loop: false, lastFrame: null };
+    const lifespanSeries = {}; // profile id -> { key, points }
+
+    function frameConfig(s, age) {
+        return { ...s, age, ageMonths: age * 12, nights: 1, isMenopausal: s.isMenopausal && age >= 40 && age <= 60 };
+    }
+
+    // TST (incl. naps), N3 %, REM % and WASO per year of age for this profile
+    function lifespanPoints(profileId) {
+        const s = states[profileId];
+        // Age is swept and the overlay toggles don't change the night
+        const modelState = Object.fromEntries(Object.entries(s).filter(([k]) => !visualKeys.includes(k)));
+        const key = JSON.stringify({ ...modelState, age: 0, ageMonths: 0 });
+        if (lifespanSeries[profileId] && lifespanSeries[profileId].key === key) return lifespanSeries[profileId].points;
+        const points = [];
+        for (let age = 0; age <= 100; age++) {
+            const st = generator.generate(frameConfig(s, age)).stats;
+            points.push({ age, tst: (st.tst + (st.napMins || 0)) / 60, n3: st.n3P * 100, rem: st.remP * 100, waso: st.wasoMins });
+        }
+        lifespanSeries[profileId] = { key, points };
+        return points;
+    }
+
+    function drawLifespan(profileId) {
+        const container = profileEl(profileId, 'lifespan-container');
+        const c = profileEl(profileId, 'lifespan-canvas');
+        if (!container || !c) return;
+        const result = cachedSimulations[profileId];
+        const active = playback.age !== null && result && !result.nights;
+        container.style.display = active ? 'block' : 'none';
+        if (!active) return;
+
+        c.width = container.clientWidth;
+        c.height = container.clientHeight;
+        const ctx = c.getContext('2d');
+        ctx.clearRect(0, 0, c.width, c.height);
+
+        const padding = { top: 8, right: 30, bottom: 18, left: 80 };
+        const width = c.width - padding.left - padding.right;
+        const height = c.height - padding.top - padding.bottom;
+        const ageToX = (age) => padding.left + (age / 100) * width;
+
+        // Age axis
+        ctx.font = '10px Inter';
+        ctx.textAlign = 'center';
+        for (let age = 0; age <= 100; age += 10) {
+            const x = ageToX(age);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.beginPath(); ctx.moveTo(x, padding.top); ctx.lineTo(x, padding.top + height); ctx.stroke();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillText(age, x, c.height - 5);
+        }
+
+        // One sparkline per metric, each on its own scale
+        const points = lifespanPoints(profileId);
+        const st = result.stats;
+        const rows = [
+            ['TST', 'tst', '#4ade80', (st.tst + (st.napMins || 0)) / 60, v => `${v.toFixed(1)}h`],
+            ['N3', 'n3', '#3b82f6', st.n3P * 100, v => `${Math.round(v)}%`],
+            ['REM', 'rem', '#f59e0b', st.remP * 100, v => `${Math.round(v)}%`],
+            ['WASO', 'waso', '#ef4444', st.wasoMins, v => `${Math.round(v)}m`]
+        ];
+        const rowH = height / rows.length;
+        rows.forEach(([label, key, color, current, fmt], i) => {
+            const values = points.map(p => p[key]);
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            const valueToY = (v) => padding.top + i * rowH + rowH - 3 - ((v - min) / ((max - min) || 1)) * (rowH - 6);
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            points.forEach((p, j) => {
+                if (j === 0) ctx.moveTo(ageToX(p.age), valueToY(p[key]));
+                else ctx.lineTo(ageToX(p.age), valueToY(p[key]));
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(ageToX(playback.age), valueToY(Math.max(min, Math.min(max, current))), 3, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.font = 'bold 10px Inter';
+            ctx.textAlign = 'right';
+            ctx.fillText(`${label} ${fmt(current)}`, padding.left - 10, padding.top + i * rowH + rowH / 2 + 4);
+        });
+
+        // Current age
+        const x = ageToX(playback.age);
+        ctx.strokeStyle = '#f8fafc';
+        ctx.lineWidth = 1;
+        ctx.beginPath(); ctx.moveTo(x, padding.top); ctx.lineTo(x, padding.top + height); ctx.stroke();
+    }
+
+    function ageText(age) {
+        return age < 3 ? `${Math.floor(age * 12)} mo` : `${Math.floor(age)}`;
+    }
+
+    function showPlaybackAge(age) {
+        playback.age = age;
+        visibleProfiles().forEach(p => {
+            const result = generator.generate(frameConfig(states[p], age));
+            cachedSimulations[p] = result;
+            drawChart(p);
+            drawPieChart(p, result.stats);
+            drawLifespan(p);
+        });
+        drawNorms();
+        drawDiff();
+        document.getElementById('age-value').textContent = ageText(age);
+        document.getElementById('age-slider').value = Math.floor(age);
+    }
+
+    function playbackFrame(now) {
+        if (!playback.playing) return;
+        const dt = playback.lastFrame === null ? 0 : (now - playback.lastFrame) / 1000;
+        playback.lastFrame = now;
+        let age = playback.age + dt * playback.speed;
+        if (age > 100) {
+            if (playback.loop) age = 0;
+            else {
+                age = 100;
+                pausePlayback();
+            }
+        }
+        showPlaybackAge(age);
+        if (playback.playing) requestAnimationFrame(playbackFrame);
+    }
+
+    const playBtn = document.getElementById('playback-play-btn');
+    const stopBtn = document.getElementById('playback-stop-btn');
+
+    function startPlayback() {
+        if (playback.age === null || playback.age >= 100) playback.age = 0;
+        // Multi-night tables give way to the single-night view
+        visibleProfiles().forEach(p => renderNightTable(p, null));
+        playback.playing = true;
+        playback.lastFrame = null;
+        if (playBtn) playBtn.textContent = '❚❚ Pause';
+        if (stopBtn) stopBtn.disabled = false;
+        requestAnimationFrame(playbackFrame);
+    }
+
+    function pausePlayback() {
+        playback.playing = false;
+        if (playBtn) playBtn.textContent = '▶ Play';
+    }
+
+    // Leave playback mode: back to each profile's own age
+    function stopPlayback() {
+        pausePlayback();
+        playback.age = null;
+        if (stopBtn) stopBtn.disabled = true;
+        document.getElementById('age-value').textContent = states[activeProfile].age;
+        document.getElementById('age-slider').value = states[activeProfile].age;
+        visibleProfiles().forEach(runSimulation);
+    }
+
+    if (playBtn) playBtn.addEventListener('click', () => (playback.playing ? pausePlayback() : startPlayback()));
+    if (stopBtn) stopBtn.addEventListener('click', stopPlayback);
+    const speedSelect = document.getElementById('playback-speed-select');
+    if (speedSelect) speedSelect.addEventListener('change', (e) => { playback.speed = parseFloat(e.target.value); });
+    const loopToggle = document.getElementById('playback-loop-toggle');
+    if (loopToggle) loopToggle.addEventListener('change', (e) => { playback.loop = e.target.checked; });
+
+    // Click or drag along the timeline to scrub
+    function setupLifespanScrub(profileId) {
+        const c = profileEl(profileId, 'lifespan-canvas');
+        if (!c) return;
+        const scrub = (e) => {
+            if (playback.age === null) return;
+            const x = e.clientX - c.getBoundingClientRect().left;
+            const width = c.width - 80 - 30; // Timeline padding (left / right)
+            pausePlayback();
+            showPlaybackAge(Math.max(0, Math.min(100, ((x - 80) / width) * 100)));
+        };
+        c.addEventListener('pointerdown', (e) => {
+            c.setPointerCapture(e.pointerId);
+            scrub(e);
+        });
+        c.addEventListener('pointermove', (e) => { if (c.hasPointerCapture(e.pointerId)) scrub(e); });
+    }
+
+    // --- Lifespan Norms View ---
+    // Every night metric against age 0-100: the simulated median for a
+    // healthy default profile (over several seeded nights per age), shaded
+    // 25-75th and 5-95th percentile bands, and the current profile(s) as points.
+    let activeView = 'hypnogram';
+    const normsCanvas = document.getElementById('norms-canvas');
+
+    // [label, stats key, display value, unit, [min, max] bounds of the raw value]
+    const normMetrics = [
+        ['Total Sleep (24 h)', 'tst', v => v / 60, 'h', [0, Infinity]],
+        ['Efficiency', 'sleepEfficiency', v => v, '%', [0, 100]],
+        ['Latency', 'latency', v => v, 'm', [0, Infinity]],
+        ['WASO', 'wasoMins', v => v, 'm', [0, Infinity]],
+        ['N1', 'n1P', v => v * 100, '%', [0, 1]],
+        ['N2', 'n2P', v => v * 100, '%', [0, 1]],
+        ['N3', 'n3P', v => v * 100, '%', [0, 1]],
+        ['REM', 'remP', v => v * 100, '%', [0, 1]],
+        ['Cycle Length', 'meanCycleLength', v => v, 'm', [0, Infinity]]
+    ];
+    const NORM_SEEDS = 7; // Nights per year of age behind each median
+
+    // Naps count towards sleep per 24 h, as in the infant norms
+    function normValue(stats, key) {
+        return key === 'tst' ? stats.tst + (stats.napMins || 0) : stats[key];
+    }
+
+    function median(values) {
+        const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+        if (!sorted.length) return null;
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    const normMedianCache = {}; // gender -> { metric key: median } per year of age
+    function normMedians(gender) {
+        if (!normMedianCache[gender]) {
+            normMedianCache[gender] = [];
+            for (let age = 0; age <= 100; age++) {
+                const nights = [];
+                for (let seed = 1; seed <= NORM_SEEDS; seed++) {
+                    nights.push(generator.generate({ ...defaultState, gender, age, ageMonths: age * 12, seed }).stats);
+                }
+                const row = {};
+                normMetrics.forEach(([, key]) => { row[key] = median(nights.map(st => normValue(st, key))); });
+                normMedianCache[gender].push(row);
+            }
+        }
+        return normMedianCache[gender];
+    }
+
+    function medianAt(medians, key, age) {
+        const i = Math.min(99, Math.floor(age));
+        const f = age - i;
+        return medians[i][key] * (1 - f) + medians[i + 1][key] * f;
+    }
+
+    // Where a profile sits: its age and last-night stats
+    function normProfilePoint(profileId) {
+        const s = states[profileId];
+        const result = cachedSimulations[profileId];
+        if (!result) return null;
+        const stats = result.nights ? result.nights[result.nights.length - 1].stats : result.stats;
+        const age = playback.age !== null ? playback.age : (s.age < 3 ? s.ageMonths / 12 : s.age);
+        return { profileId, age, stats };
+    }
+
+    function drawNorms() {
+        if (!normsCanvas || activeView !== 'norms') return;
+        const container = normsCanvas.parentElement;
+        normsCanvas.width = container.clientWidth;
+        normsCanvas.height = container.clientHeight;
+        const ctx = normsCanvas.getContext('2d');
+        ctx.clearRect(0, 0, normsCanvas.width, normsCanvas.height);
+
+        const gender = states[profiles[0].id].gender;
+        const medians = normMedians(gender);
+        const points = visibleProfiles().map(normProfilePoint).filter(Boolean);
+
+        const cols = 3;
+        const rows = Math.ceil(normMetrics.length / cols);
+        const cellW = normsCanvas.width / cols;
+        const cellH = normsCanvas.height / rows;
+        const pad = { top: 34, right: 14, bottom: 22, left: 44 };
+
+        normMetrics.forEach(([label, key, display, unit, bounds], m) => {
+            const x0 = (m % cols) * cellW;
+            const y0 = Math.floor(m / cols) * cellH;
+            const w = cellW - pad.left - pad.right;
+            const h = cellH - pad.top - pad.bottom;
+            const clamp = (v) => Math.max(bounds[0], Math.min(bounds[1], v));
+            // A night can lack a metric (no complete cycle before the alarm)
+            const shown = points.filter(p => Number.isFinite(normValue(p.stats, key)));
+
+            // Percentile curves per year of age
+            const curve = medians.map((row, age) => {
+                const spread = ScientificConstants.getNormSpread(age)[key];
+                const q = (z) => display(clamp(ScientificConstants.normQuantile(row[key], spread, z)));
+                return { age, p5: q(-1.645), p25: q(-0.674), p50: display(row[key]), p75: q(0.674), p95: q(1.645) };
+            });
+
+            let lo = Math.min(...curve.map(c => c.p5), ...shown.map(p => display(normValue(p.stats, key))));
+            let hi = Math.max(...curve.map(c => c.p95), ...shown.map(p => display(normValue(p.stats, key))));
+            const margin = (hi - lo) * 0.05 || 1;
+            lo = Math.max(display(bounds[0]), lo - margin);
+            hi += margin;
+            const ageToX = (age) => x0 + pad.left + (age / 100) * w;
+            const valueToY = (v) => y0 + pad.top + h - ((v - lo) / (hi - lo)) * h;
+
+            // Axes
+            ctx.font = '10px Inter';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.textAlign = 'center';
+            for (let age = 0; age <= 100; age += 20) {
+                const x = ageToX(age);
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+                ctx.beginPath(); ctx.moveTo(x, y0 + pad.top); ctx.lineTo(x, y0 + pad.top + h); ctx.stroke();
+                ctx.fillText(age, x, y0 + pad.top + h + 14);
+            }
+            ctx.textAlign = 'right';
+            [lo, (lo + hi) / 2, hi].forEach(v => {
+                ctx.fillText(`${v.toFixed(unit === 'h' ? 1 : 0)}${unit}`, x0 + pad.left - 6, valueToY(v) + 3);
+            });
+
+            // Bands, then the median
+            const band = (lower, upper, alpha) => {
+                ctx.fillStyle = `rgba(148, 163, 184, ${alpha})`;
+                ctx.beginPath();
+                curve.forEach((c, i) => (i === 0 ? ctx.moveTo(ageToX(c.age), valueToY(c[upper])) : ctx.lineTo(ageToX(c.age), valueToY(c[upper]))));
+                [...curve].reverse().forEach(c => ctx.lineTo(ageToX(c.age), valueToY(c[lower])));
+                ctx.closePath();
+                ctx.fill();
+            };
+            band('p5', 'p95', 0.12);
+            band('p25', 'p75', 0.25);
+            ctx.strokeStyle = '#e2e8f0';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            curve.forEach((c, i) => (i === 0 ? ctx.moveTo(ageToX(c.age), valueToY(c.p50)) : ctx.lineTo(ageToX(c.age), valueToY(c.p50))));
+            ctx.stroke();
+
+            // Profiles, with their percentile in the title
+            const ranks = shown.map(p => {
+                const value = normValue(p.stats, key);
+                const x = ageToX(Math.min(100, p.age));
+                const y = valueToY(display(value));
+                ctx.fillStyle = profileColor(p.profileId);
+                ctx.strokeStyle = '#020617';
+                ctx.lineWidth = 2;
+                ctx.beginPath(); ctx.arc(x, y, 5, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+                const spread = ScientificConstants.getNormSpread(p.age)[key];
+                const rank = ScientificConstants.normPercentile(value, medianAt(medians, key, Math.min(100, p.age)), spread);
+                return { profileId: p.profileId, rank };
+            });
+
+            ctx.textAlign = 'left';
+            ctx.font = 'bold 11px Inter';
+            ctx.fillStyle = '#f8fafc';
+            ctx.fillText(label, x0 + pad.left, y0 + 18);
+            let tx = x0 + pad.left + ctx.measureText(label).width + 10;
+            ctx.font = '10px Inter';
+            ranks.forEach(r => {
+                const text = `${compareMode ? r.profileId + ' ' : ''}p${Math.round(Math.max(1, Math.min(99, r.rank)))}`;
+                ctx.fillStyle = profileColor(r.profileId);
+                ctx.fillText(text, tx, y0 + 18);
+                tx += ctx.measureText(text).width + 8;
+            });
+        });
+
+        const legend = document.getElementById('norms-legend');
+        if (legend) {
+            legend.innerHTML = `
+                <span><i class="swatch" style="background: #e2e8f0"></i>Median (healthy ${gender}, simulated)</span>
+                <span><i class="swatch" style="background: rgba(148, 163, 184, 0.5)"></i>25th-75th percentile</span>
+                <span><i class="swatch" style="background: rgba(148, 163, 184, 0.25)"></i>5th-95th percentile</span>
+                ${points.map(p => `<span><i class="swatch dot" style="background: ${profileColor(p.profileId)}"></i>${escapeHtml(profileById(p.profileId).name)}</span>`).join('')}
             `;
         }
     }
 
+    function setView(view) {
+        activeView = view === 'norms' ? 'norms' : 'hypnogram';
+        document.querySelectorAll('.view-tabs .tab').forEach(t => t.classList.toggle('active', t.dataset.view === activeView));
+        updateVizLayout();
+        writeUrlState();
+        if (activeView === 'norms') drawNorms();
+        else resizeAll();
+    }
+
+    document.querySelectorAll('.view-tabs .tab').forEach(tab => {
+        tab.addEventListener('click', () => setView(tab.dataset.view));
+    });
+
+    // --- Compare: Aligned Diff View ---
+    // The baseline (first profile) and the selected profile on one time axis
+    // (baseline filled, the other as a step trace), a strip of the 30 s
+    // epochs where their stages differ, and metric deltas.
+    let alignedMode = false;
+    const diffCanvas = document.getElementById('diff-canvas');
+    const alignedToggle = document.getElementById('aligned-mode-toggle');
+
+    // Which visualization areas show for the current view and compare mode
+    function updateVizLayout() {
+        const norms = activeView === 'norms';
+        const diff = !norms && compareMode && alignedMode;
+        const shown = visibleProfiles();
+        profileGrid.style.display = norms || diff ? 'none' : 'grid';
+        profileGrid.classList.toggle('stacked', sharedAxis());
+        profileGrid.style.gridTemplateColumns = `repeat(${sharedAxis() ? 1 : gridColumns(shown.length)}, minmax(0, 1fr))`;
+        profiles.forEach(p => {
+            if (profilePanels[p.id]) profilePanels[p.id].style.display = shown.includes(p.id) ? 'flex' : 'none';
+        });
+        document.getElementById('viz-norms').style.display = norms ? 'flex' : 'none';
+        document.getElementById('viz-diff').style.display = diff ? 'flex' : 'none';
+        const alignedGroup = document.getElementById('aligned-mode-group');
+        if (alignedGroup) alignedGroup.style.display = compareMode ? 'flex' : 'none';
+    }
+
+    if (alignedToggle) {
+        alignedToggle.addEventListener('change', (e) => {
+            alignedMode = e.target.checked;
+            updateVizLayout();
+            writeUrlState();
+            // Trigger resize after layout reflow
+            setTimeout(resizeAll, 50);
+        });
+    }
+
+    // Multi-night series compare on their final night
+    function diffNight(result) {
+        return result && result.nights ? result.nights[result.nights.length - 1] : result;
+    }
+
+    // Stage per 30 s epoch on a shared grid; null = not in bed
+    function stageAt(epochs, t) {
+        if (!epochs.length) return null;
+        const i = Math.floor((t - epochs[0].start) * 2 + 1e-9);
+        return i >= 0 && i < epochs.length ? epochs[i].stage : null;
+    }
+
+    // Baseline and the profile it is compared with: the active one, or the
+    // second when the baseline itself is selected
+    function diffPair() {
+        const base = profiles[0];
+        const other = activeProfile !== base.id ? profileById(activeProfile) : profiles[1];
+        return other ? [base, other] : null;
+    }
+
+    function drawDiff() {
+        if (!diffCanvas || activeView !== 'hypnogram' || !compareMode || !alignedMode) return;
+        const pair = diffPair();
+        if (!pair) return;
+        const [pa, pb] = pair;
+        const a = diffNight(cachedSimulations[pa.id]);
+        const b = diffNight(cachedSimulations[pb.id]);
+        if (!a || !b) return;
+
+        const title = document.getElementById('diff-title');
+        if (title) title.textContent = `${pb.name} vs. ${pa.name}`;
+        const container = diffCanvas.parentElement;
+        diffCanvas.width = container.clientWidth;
+        diffCanvas.height = container.clientHeight;
+        const overlay = { blocks: b.blocks, label: pb.name, color: pb.color };
+        const view = drawHypnogram(diffCanvas.getContext('2d'), diffCanvas, a, states[pa.id], overlay);
+
+        // Delta strip: the baseline's stage on top, the other's below, only where they differ
+        const epochsA = EpochScoring.toEpochs(a);
+        const epochsB = EpochScoring.toEpochs(b);
+        const from = Math.min(epochsA[0].start, epochsB[0].start);
+        const to = Math.max(epochsA[epochsA.length - 1].start, epochsB[epochsB.length - 1].start) + 0.5;
+        const strip = document.getElementById('delta-canvas');
+        let differing = 0;
+        if (strip) {
+            strip.width = strip.parentElement.clientWidth;
+            strip.height = strip.parentElement.clientHeight;
+            const ctx = strip.getContext('2d');
+            ctx.clearRect(0, 0, strip.width, strip.height);
+            const { viewStart, viewEnd, padding } = view;
+            const width = strip.width - padding.left - padding.right;
+            const timeToX = (t) => padding.left + ((t - viewStart) / (viewEnd - viewStart)) * width;
+            const laneH = (strip.height - 12) / 2;
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.04)';
+            ctx.fillRect(padding.left, 4, width, laneH * 2);
+            for (let t = from; t < to; t += 0.5) {
+                const sa = stageAt(epochsA, t);
+                const sb = stageAt(epochsB, t);
+                if (sa === sb) continue;
+                differing++;
+                const x = timeToX(t);
+                const w = Math.max(1, timeToX(t + 0.5) - x);
+                if (sa !== null) { ctx.fillStyle = stageColors[sa]; ctx.fillRect(x, 4, w, laneH); }
+                if (sb !== null) { ctx.fillStyle = stageColors[sb]; ctx.fillRect(x, 4 + laneH, w, laneH); }
+            }
+
+            ctx.font = 'bold 10px Inter';
+            ctx.textAlign = 'right';
+            ctx.fillStyle = pa.color;
+            ctx.fillText(pa.id, padding.left - 10, 4 + laneH / 2 + 4);
+            ctx.fillStyle = pb.color;
+            ctx.fillText(pb.id, padding.left - 10, 4 + laneH * 1.5 + 4);
+        }
+
+        renderDiffTable(pair, a, b, epochsA, epochsB, differing / 2);
+    }
+
+    function renderDiffTable([pa, pb], a, b, epochsA, epochsB, differingMins) {
+        const el = document.getElementById('diff-table');
+        if (!el) return;
+        const sa = a.stats;
+        const sb = b.stats;
+        // Stage minutes from the same epochs the delta strip compares
+        const ea = EpochScoring.statsFromEpochs(epochsA.map(e => e.stage));
+        const eb = EpochScoring.statsFromEpochs(epochsB.map(e => e.stage));
+        const stageMins = (st, share) => st[share] * st.tst;
+        // Healthy adult REM latency is ~90 min; closer is better
+        const remLatencyGap = (v) => (v === null ? null : Math.abs(v - 90));
+
+        // [label, A, B, format, delta format, threshold, score (higher = better) or null]
+        const rows = [
+            ['Total Sleep', sa.tst, sb.tst, v => `${(v / 60).toFixed(1)}h`, d => `${Math.round(d)}m`, 10, v => v],
+            ['Efficiency', sa.sleepEfficiency, sb.sleepEfficiency, v => `${Math.round(v)}%`, d => `${d.toFixed(1)} pts`, 1, v => v],
+            ['Latency', sa.latency, sb.latency, v => `${Math.round(v)}m`, d => `${Math.round(d)}m`, 3, v => -v],
+            ['WASO', sa.wasoMins, sb.wasoMins, v => `${Math.round(v)}m`, d => `${Math.round(d)}m`, 5, v => -v],
+            ['N3', stageMins(ea, 'n3P'), stageMins(eb, 'n3P'), v => `${Math.round(v)}m`, d => `${Math.round(d)}m`, 5, v => v],
+            ['REM', stageMins(ea, 'remP'), stageMins(eb, 'remP'), v => `${Math.round(v)}m`, d => `${Math.round(d)}m`, 5, v => v],
+            ['REM Latency', sa.remLatency, sb.remLatency, v => (v === null ? '–' : `${Math.round(v)}m`), d => `${Math.round(d)}m`, 5,
+                v => (v === null ? null : -remLatencyGap(v))]
+        ];
+
+        const body = rows.map(([label, va, vb, fmt, fmtDelta, threshold, score]) => {
+            if (va === null || vb === null) {
+                return `<tr><td>${label}</td><td>${fmt(va)}</td><td>${fmt(vb)}</td><td>–</td></tr>`;
+            }
+            const delta = vb - va;
+            let cls = '';
+            if (Math.abs(delta) >= threshold) cls = score(vb) > score(va) ? 'better' : 'worse';
+            return `<tr class="${cls}"><td>${label}</td><td>${fmt(va)}</td><td>${fmt(vb)}</td><td>${delta > 0 ? '+' : (delta < 0 ? '−' : '±')}${fmtDelta(Math.abs(delta))}</td></tr>`;
+        }).join('');
+
+        el.innerHTML = `
+            <table>
+                <thead><tr><th>Metric</th><th style="color: ${pa.color}">${escapeHtml(pa.name)}</th><th style="color: ${pb.color}">${escapeHtml(pb.name)}</th><th>Δ (${pb.id} − ${pa.id})</th></tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+            <div class="diff-summary">Stages differ in ${Math.round(differingMins)} min of the shared night.</div>`;
+    }
+
+    // --- Profiles ---
+    // Up to MAX_PROFILES scenarios side by side (e.g. baseline, caffeine cut,
+    // CPAP, CBT-I). Each gets a panel cloned from #profile-viz-template; the
+    // render functions find its elements by profile id and data-role.
+    const profileGrid = document.getElementById('profile-grid');
+    const profileTemplate = document.getElementById('profile-viz-template');
+    const profilePanels = {}; // profile id -> <main>
+    const layoutSelect = document.getElementById('profile-layout-select');
+    const colorInput = document.getElementById('profile-color-input');
+    let profileLayout = 'grid'; // grid, stacked
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    function profileById(profileId) {
+        return profiles.find(p => p.id === profileId);
+    }
+
+    function profileColor(profileId) {
+        const p = profileById(profileId);
+        return p ? p.color : '#f8fafc';
+    }
+
+    function profileEl(profileId, role) {
+        const panel = profilePanels[profileId];
+        return panel ? panel.querySelector(`[data-role="${role}"]`) : null;
+    }
+
+    // Profiles on screen: all of them when comparing, else the baseline
+    function visibleProfiles() {
+        return (compareMode ? profiles : profiles.slice(0, 1)).map(p => p.id);
+    }
+
+    // 2 x 2 for four, rows of three for five or six
+    function gridColumns(count) {
+        return count <= 2 ? count : (count === 4 ? 2 : 3);
+    }
+
+    function addProfile(state, name) {
+        if (profiles.length >= MAX_PROFILES) return null;
+        const id = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').find(letter => !profileById(letter));
+        const color = profilePalette.find(c => !profiles.some(p => p.color === c)) || profilePalette[0];
+        profiles.push({ id, name: name || `Profile ${id}`, color });
+        states[id] = JSON.parse(JSON.stringify(state));
+        cachedSimulations[id] = null;
+        importedNights[id] = null;
+        return id;
+    }
+
+    function deleteProfile(profileId) {
+        if (profiles.length <= 1) return;
+        const index = profiles.findIndex(p => p.id === profileId);
+        profiles.splice(index, 1);
+        [states, cachedSimulations, importedNights, zoomViews, drawnViews, lifespanSeries].forEach(map => { delete map[profileId]; });
+        if (profilePanels[profileId]) profilePanels[profileId].remove();
+        delete profilePanels[profileId];
+    }
+
+    function createProfilePanel(profileId) {
+        const panel = profileTemplate.content.firstElementChild.cloneNode(true);
+        panel.dataset.profile = profileId;
+        profilePanels[profileId] = panel;
+        setupChartInteraction(profileId);
+        setupLifespanScrub(profileId);
+        return panel;
+    }
+
+    // Name, plus a one-line summary where the stacked layout hides the dashboard
+    function updateProfileLabel(profileId) {
+        const el = profileEl(profileId, 'label');
+        const p = profileById(profileId);
+        if (!el || !p) return;
+        const result = cachedSimulations[profileId];
+        const st = result && (result.nights ? result.nights[result.nights.length - 1].stats : result.stats);
+        el.textContent = sharedAxis() && st
+            ? `${p.name} · TST ${(st.tst / 60).toFixed(1)}h · SE ${Math.round(st.sleepEfficiency)}% · N3 ${Math.round(st.n3P * 100)}% · REM ${Math.round(st.remP * 100)}%`
+            : p.name;
+        el.style.borderLeft = `3px solid ${p.color}`;
+    }
+
+    function renderProfileTabs() {
+        const tabs = document.getElementById('profile-tabs');
+        if (!tabs) return;
+        tabs.innerHTML = '';
+        profiles.forEach(p => {
+            const tab = document.createElement('button');
+            tab.className = `tab${p.id === activeProfile ? ' active' : ''}`;
+            tab.dataset.profile = p.id;
+            tab.title = p.name;
+            tab.innerHTML = `<i class="swatch dot" style="background: ${p.color}"></i>`;
+            tab.append(p.name);
+            tabs.appendChild(tab);
+        });
+
+        const active = profileById(activeProfile);
+        if (colorInput && active) colorInput.value = active.color;
+        // Sidebar edge in the colour of the profile being edited (compare mode)
+        const mask = document.getElementById('controls-mask');
+        if (mask && active) mask.style.setProperty('--profile-color', active.color);
+        const addBtn = document.getElementById('profile-add-btn');
+        const duplicateBtn = document.getElementById('profile-duplicate-btn');
+        const deleteBtn = document.getElementById('profile-delete-btn');
+        if (addBtn) addBtn.disabled = profiles.length >= MAX_PROFILES;
+        if (duplicateBtn) duplicateBtn.disabled = profiles.length >= MAX_PROFILES;
+        if (deleteBtn) deleteBtn.disabled = profiles.length <= 1;
+    }
+
+    // Panels follow the profile list: create, drop and reorder, then relabel
+    function renderProfilePanels() {
+        if (!profileGrid || !profileTemplate) return;
+        Object.keys(profilePanels).forEach(id => {
+            if (!profileById(id)) {
+                profilePanels[id].remove();
+                delete profilePanels[id];
+            }
+        });
+        profiles.forEach(p => profileGrid.appendChild(profilePanels[p.id] || createProfilePanel(p.id)));
+        profiles.forEach(p => updateProfileLabel(p.id));
+        renderProfileTabs();
+        updateVizLayout();
+    }
+
+    // Profile list changed: new panels need sizing once laid out
+    function refreshProfiles(switchTo) {
+        renderProfilePanels();
+        switchProfile(switchTo);
+        writeUrlState();
+        drawNorms();
+        setTimeout(resizeAll, 50);
+    }
+
+    const profileTabs = document.getElementById('profile-tabs');
+    if (profileTabs) {
+        profileTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('.tab');
+            if (tab) switchProfile(tab.dataset.profile);
+        });
+    }
+
+    const profileActions = {
+        'profile-add-btn': () => {
+            const id = addProfile(defaultState);
+            if (id) refreshProfiles(id);
+        },
+        'profile-duplicate-btn': () => {
+            const source = profileById(activeProfile);
+            const id = addProfile(states[activeProfile], `${source.name} (copy)`.slice(0, 40));
+            if (id) refreshProfiles(id);
+        },
+        'profile-rename-btn': () => {
+            const p = profileById(activeProfile);
+            const name = window.prompt('Profile name:', p.name);
+            if (!name || !name.trim()) return;
+            p.name = name.trim().slice(0, 40);
+            refreshProfiles(p.id);
+        },
+        'profile-delete-btn': () => {
+            const p = profileById(activeProfile);
+            if (profiles.length <= 1 || !window.confirm(`Delete "${p.name}"?`)) return;
+            const index = profiles.indexOf(p);
+            deleteProfile(p.id);
+            refreshProfiles(profiles[Math.max(0, index - 1)].id);
+        }
+    };
+    Object.entries(profileActions).forEach(([id, action]) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', action);
+    });
+
+    if (colorInput) {
+        colorInput.addEventListener('input', (e) => {
+            const p = profileById(activeProfile);
+            p.color = e.target.value;
+            renderProfileTabs();
+            updateProfileLabel(p.id);
+            drawNorms();
+            drawDiff();
+        });
+        colorInput.addEventListener('change', writeUrlState);
+    }
+
+    if (layoutSelect) {
+        layoutSelect.addEventListener('change', (e) => {
+            profileLayout = e.target.value === 'stacked' ? 'stacked' : 'grid';
+            // Each layout starts from the automatic fit
+            Object.keys(zoomViews).forEach(id => { zoomViews[id] = null; });
+            updateVizLayout();
+            profiles.forEach(p => updateProfileLabel(p.id));
+            writeUrlState();
+            // Trigger resize after layout reflow
+            setTimeout(resizeAll, 50);
+        });
+    }
+
     function runSimulation(profileId) {
         if (!states[profileId]) return;
         try {
-            cachedSimulations[profileId] = generator.generate(states[profileId]);
+            const s = states[profileId];
+            if (playback.age !== null) cachedSimulations[profileId] = generator.generate(frameConfig(s, playback.age));
+            else cachedSimulations[profileId] = s.nights > 1 ? generator.generateSeries(s) : generator.generate(s);
             drawVisuals(profileId);
         } catch (e) {
             console.error('Sim Error', e);
@@ -1069,12 +2740,41 @@ document.addEventListener('DOMContentLoaded', () => {
         const result = cachedSimulations[profileId];
         if (!result) { runSimulation(profileId); return; }
 
-        const c = profileId === 'A' ? canvasA : canvasB;
+        const c = profileEl(profileId, 'hypnogram');
         if (!c) return;
-        drawHypnogram(c.getContext('2d'), c, result, states[profileId]);
+        updateProfileLabel(profileId);
+
+        // Multi-Night: stacked rows, dashboard shows the final night
+        if (result.nights) {
+            scheduleUrlWrite();
+            const lastNight = result.nights[result.nights.length - 1];
+            drawActogram(c.getContext('2d'), c, result);
+            drawPieChart(profileId, lastNight.stats);
+            renderNightTable(profileId, result);
+            renderImportCompare(profileId, lastNight);
+            drawSpO2(profileId, null);
+            drawLifespan(profileId);
+            drawNorms();
+            drawDiff();
+            drawnViews[profileId] = null;
+            const resetBtn = profileEl(profileId, 'zoom-reset');
+            if (resetBtn) resetBtn.style.display = 'none';
+            return;
+        }
+
+        scheduleUrlWrite();
+        // A new night can widen the shared axis of the stacked layout
+        if (sharedAxis()) visibleProfiles().forEach(drawChart);
+        else drawChart(profileId);
+        drawLifespan(profileId);
+        drawNorms();
+        drawDiff();
         drawPieChart(profileId, result.stats);
+        renderNightTable(profileId, null);
+        renderImportCompare(profileId, result);
     }
 
+    if (!restoreUrlState()) renderProfilePanels();
     resizeAll();
-    runSimulation('A');
+    runSimulation(profiles[0].id);
 });
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * Sleep Age Simulator - Command Line
+ * Batch runs of the simulation core (models.js) without a browser.
+ *
+ *   node cli.js simulate --age 45 --gender female --caffeine 2 --caffeine-time 6 --sdb 4
+ *   node cli.js simulate --age 45 --json
+ *   node cli.js simulate --shift-work rotating --nights 6
+ *   node cli.js simulate --age 75 --naps 14:00/60
+ *   node cli.js simulate --gender female --weight 60 --drinks 19:00/2,21:00/1
+ *   node cli.js simulate --gender female --caffeine-intakes 08:00/95,15:30/80/energyDrink --oral-contraceptives
+ *   node cli.js simulate --bedtime 0.5 --alarm 5.5 --sleep-debt 240
+ *   node cli.js simulate --age 55 --weight 95 --ahi 24 --cpap
+ *   node cli.js simulate --age 45 --medications 22:00/10/zolpidem,08:00/50/sertraline
+ *   node cli.js simulate --insomnia maintenance --plm-index 25 --restless-legs
+ *   node cli.js sweep --param age --from 20 --to 80 --step 10 --alcohol 2 > sweep.csv
+ *   node cli.js export --format edf --out night.edf --age 45
+ */
+
+const fs = require('fs');
+const { HypnogramGenerator, CAFFEINE_SOURCES, MEDICATIONS } = require('./models.js');
+const { EpochScoring } = require('./scoring.js');
+const { stateRanges } = require('./state.js');
+
+// --- OPTIONS ---
+// Flag -> generator config key. Defaults mirror the dashboard's default profile,
+// ranges come from its state validation (state.js).
+const OPTIONS = {
+    'age': { key: 'age', type: 'number', default: 25, range: stateRanges.age },
+    'gender': { key: 'gender', type: 'choice', choices: ['male', 'female'], default: 'male' },
+    'chronotype': { key: 'chronotype', type: 'choice', choices: ['lark', 'normal', 'owl'], default: 'normal' },
+    'jet-lag': { key: 'jetLag', type: 'choice', choices: ['none', 'west_mild', 'east_mild', 'west_severe', 'east_severe'], default: 'none' },
+    'social-jet-lag': { key: 'socialJetLag', type: 'flag', default: false },
+    'shift-work': { key: 'shiftWork', type: 'choice', choices: ['none', 'night', 'early', 'rotating'], default: 'none' },
+    'shift-start': { key: 'shiftStart', type: 'number', default: 22 },
+    'shift-length': { key: 'shiftLength', type: 'number', default: 8 },
+    'sleep-pattern': { key: 'sleepPattern', type: 'choice', choices: ['monophasic', 'biphasic', 'segmented'], default: 'monophasic' },
+    'naps': { key: 'naps', type: 'naps', default: [] },
+    'wake-time': { key: 'wakeTime', type: 'number', default: 'auto' },
+    'bedtime': { key: 'fixedBedtime', type: 'number', default: 'auto' },
+    'alarm': { key: 'alarmTime', type: 'number', default: 'none' },
+    'sleep-debt': { key: 'sleepDebt', type: 'number', default: 0 },
+    'alcohol': { key: 'alcohol', type: 'number', default: 0 },
+    'drinks': { key: 'alcoholDrinks', type: 'drinks', default: [] },
+    'caffeine': { key: 'caffeine', type: 'number', default: 0 },
+    'caffeine-time': { key: 'caffeineTime', type: 'number', default: 0 },
+    'caffeine-intakes': { key: 'caffeineIntakes', type: 'intakes', default: [] },
+    'caffeine-metabolism': { key: 'caffeineMetabolism', type: 'choice', choices: ['slow', 'normal', 'fast'], default: 'normal' },
+    'pregnant': { key: 'pregnant', type: 'flag', default: false },
+    'oral-contraceptives': { key: 'oralContraceptives', type: 'flag', default: false },
+    'smoker': { key: 'smoker', type: 'flag', default: false },
+    'weight': { key: 'weight', type: 'number', default: 70 },
+    'nocturia': { key: 'nocturia', type: 'number', default: 0 },
+    'blue-light': { key: 'blueLight', type: 'flag', default: false },
+    'sdb': { key: 'sdbSeverity', type: 'number', default: 0 }, // Legacy 0-10 scale (AHI = 6 x sdb)
+    'ahi': { key: 'ahi', type: 'number', default: undefined }, // Unset: derived from --sdb
+    'cpap': { key: 'cpap', type: 'flag', default: false },
+    'medications': { key: 'medications', type: 'medications', default: [] },
+    'insomnia': { key: 'insomnia', type: 'choice', choices: ['none', 'onset', 'maintenance', 'early'], default: 'none' },
+    'narcolepsy': { key: 'narcolepsy', type: 'flag', default: false },
+    'plm-index': { key: 'plmIndex', type: 'number', default: 0 },
+    'restless-legs': { key: 'restlessLegs', type: 'flag', default: false },
+    'phase-disorder': { key: 'phaseDisorder', type: 'choice', choices: ['none', 'delayed', 'advanced'], default: 'none' },
+    'menopausal': { key: 'isMenopausal', type: 'flag', default: false },
+    'upper-threshold': { key: 'upperThreshold', type: 'number', default: 0.66 },
+    'lower-threshold': { key: 'lowerThreshold', type: 'number', default: 0.12 },
+    'nights': { key: 'nights', type: 'number', default: 1, range: stateRanges.nights },
+    'exposure-nights': { key: 'exposureNights', type: 'number', default: 7, range: stateRanges.exposureNights },
+    'seed': { key: 'seed', type: 'number', default: 1 }
+};
+
+// Output columns: [header, stats -> value]
+const COLUMNS = [
+    ['tst_h', (st) => st.tst / 60],
+    ['tib_h', (st) => st.tib / 60],
+    ['se_pct', (st) => st.sleepEfficiency],
+    ['latency_min', (st) => st.latency],
+    ['waso_min', (st) => st.wasoMins],
+    ['n1_pct', (st) => st.n1P * 100],
+    ['n2_pct', (st) => st.n2P * 100],
+    ['n3_pct', (st) => st.n3P * 100],
+    ['rem_pct', (st) => st.remP * 100],
+    ['rem_latency_min', (st) => (st.remLatency === null ? NaN : st.remLatency)],
+    ['cycles', (st) => (st.cycles === undefined ? NaN : st.cycles)],
+    ['cycle_mean_min', (st) => (st.meanCycleLength == null ? NaN : st.meanCycleLength)],
+    ['ahi_scored', (st) => st.ahi],
+    ['odi', (st) => st.odi],
+    ['t90_pct', (st) => st.t90],
+    ['spo2_nadir', (st) => st.spo2Nadir]
+];
+
+const USAGE = `Usage:
+  node cli.js simulate [options] [--json]
+  node cli.js sweep --param <option> --from <n> --to <n> [--step <n>] [options]
+  node cli.js export --format <csv|edf|json> [--out <file>] [options]
+
+Options:
+${Object.entries(OPTIONS).map(([flag, o]) => {
+        let value = ' <n>';
+        if (o.type === 'flag') value = '';
+        if (o.type === 'choice') value = ` <${o.choices.join('|')}>`;
+        if (o.type === 'naps') value = ' <hh:mm/min,...>';
+        if (o.type === 'intakes') value = ' <hh:mm/mg[/source],...>';
+        if (o.type === 'drinks') value = ' <hh:mm/count,...>';
+        if (o.type === 'medications') value = ' <hh:mm/mg/drug,...>';
+        return `  --${flag}${value}`.padEnd(72) + `(default: ${Array.isArray(o.default) || o.default === undefined ? 'none' : o.default})`;
+    }).join('\n')}`;
+
+class CliError extends Error { }
+
+// --- ARGUMENT PARSING ---
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const flags = {};
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) throw new CliError(`Unexpected argument: ${arg}`);
+        const name = arg.slice(2);
+        const next = rest[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            flags[name] = true;
+        } else {
+            flags[name] = next;
+            i++;
+        }
+    }
+    return { command, flags };
+}
+
+function coerce(flag, raw) {
+    const opt = OPTIONS[flag];
+    if (opt.type === 'flag') return raw === true || raw === 'true';
+    if (raw === true) throw new CliError(`--${flag} needs a value`);
+    if (opt.type === 'choice') {
+        if (!opt.choices.includes(raw)) throw new CliError(`--${flag} must be one of: ${opt.choices.join(', ')}`);
+        return raw;
+    }
+    if (opt.type === 'naps' || opt.type === 'drinks') {
+        // "14:00/60,18:30/20" -> [{ time: 14, duration: 60 }, { time: 18.5, duration: 20 }]
+        const field = opt.type === 'naps' ? 'duration' : 'drinks';
+        return raw.split(',').map(item => {
+            const m = item.trim().match(/^(\d{1,2})(?::(\d{2}))?\/(\d+(?:\.\d+)?)$/);
+            if (!m) throw new CliError(`--${flag} expects hh:mm/${field === 'duration' ? 'minutes' : 'count'}, got "${item}"`);
+            return { time: Number(m[1]) + (m[2] ? Number(m[2]) / 60 : 0), [field]: Number(m[3]) };
+        });
+    }
+    if (opt.type === 'intakes') {
+        // "08:00/95,15:30/63/espresso" -> [{ time: 8, mg: 95, source: 'custom' }, ...]
+        return raw.split(',').map(item => {
+            const m = item.trim().match(/^(\d{1,2})(?::(\d{2}))?\/(\d+(?:\.\d+)?)(?:\/(\w+))?$/);
+            if (!m) throw new CliError(`--${flag} expects hh:mm/mg[/source], got "${item}"`);
+            const source = m[4] || 'custom';
+            if (!CAFFEINE_SOURCES[source]) throw new CliError(`Unknown caffeine source "${source}": ${Object.keys(CAFFEINE_SOURCES).join(', ')}`);
+            return { time: Number(m[1]) + (m[2] ? Number(m[2]) / 60 : 0), mg: Number(m[3]), source };
+        });
+    }
+    if (opt.type === 'medications') {
+        // "22:00/10/zolpidem" -> [{ time: 22, dose: 10, drug: 'zolpidem' }]
+        return raw.split(',').map(item => {
+            const m = item.trim().match(/^(\d{1,2})(?::(\d{2}))?\/(\d+(?:\.\d+)?)\/(\w+)$/);
+            if (!m) throw new CliError(`--${flag} expects hh:mm/mg/drug, got "${item}"`);
+            if (!MEDICATIONS[m[4]]) throw new CliError(`Unknown medication "${m[4]}": ${Object.keys(MEDICATIONS).join(', ')}`);
+            return { time: Number(m[1]) + (m[2] ? Number(m[2]) / 60 : 0), dose: Number(m[3]), drug: m[4] };
+        });
+    }
+    const n = Number(raw);
+    if (!Number.isFinite(n)) throw new CliError(`--${flag} must be a number, got "${raw}"`);
+    checkRange(flag, n);
+    return n;
+}
+
+function checkRange(flag, n) {
+    const range = OPTIONS[flag].range;
+    if (range && (n < range[0] || n > range[1])) {
+        throw new CliError(`--${flag} must be between ${range[0]} and ${range[1]}, got ${n}`);
+    }
+}
+
+function buildConfig(flags, ignore = []) {
+    const config = {};
+    Object.entries(OPTIONS).forEach(([flag, opt]) => { config[opt.key] = opt.default; });
+    Object.entries(flags).forEach(([flag, raw]) => {
+        if (ignore.includes(flag)) return;
+        if (!OPTIONS[flag]) throw new CliError(`Unknown option: --${flag}`);
+        config[OPTIONS[flag].key] = coerce(flag, raw);
+    });
+    return config;
+}
+
+// Under 3 the infant model runs on age alone: refuse inputs it would ignore
+function checkInfantConfig(config) {
+    if (!(config.age < 3)) return;
+    const ignored = HypnogramGenerator.infantIgnoredInputs(config);
+    if (ignored.length === 0) return;
+    const flags = ignored.map(key => `--${Object.keys(OPTIONS).find(flag => OPTIONS[flag].key === key)}`);
+    throw new CliError(`The infant model (age under 3) does not use ${flags.join(', ')}`);
+}
+
+// --- OUTPUT ---
+
+function statsRow(stats) {
+    return COLUMNS.map(([, get]) => get(stats));
+}
+
+function printTable(rows, labels) {
+    const headers = ['', ...COLUMNS.map(([h]) => h)];
+    const cells = rows.map((row, i) => [labels[i], ...row.map(v => (Number.isFinite(v) ? v.toFixed(1) : '–'))]);
+    const widths = headers.map((h, c) => Math.max(h.length, ...cells.map(r => r[c].length)));
+    const line = (r) => r.map((v, c) => (c === 0 ? v.padEnd(widths[c]) : v.padStart(widths[c]))).join('  ');
+    console.log(line(headers));
+    cells.forEach(r => console.log(line(r)));
+}
+
+// --- COMMANDS ---
+
+function simulate(flags) {
+    const json = flags.json === true;
+    const config = buildConfig(flags, ['json']);
+    checkInfantConfig(config);
+    const generator = new HypnogramGenerator();
+
+    const nights = config.nights > 1 ? generator.generateSeries(config).nights : [generator.generate(config)];
+
+    if (json) {
+        const out = nights.map((n, i) => ({ night: i + 1, stats: n.stats }));
+        console.log(JSON.stringify(nights.length === 1 ? out[0].stats : out, null, 2));
+        return;
+    }
+    printTable(nights.map(n => statsRow(n.stats)), nights.map((n, i) => (nights.length === 1 ? 'night' : `night ${i + 1}`)));
+}
+
+function sweep(flags) {
+    const param = flags.param;
+    if (!param || param === true) throw new CliError('sweep needs --param <option>');
+    if (!OPTIONS[param] || OPTIONS[param].type !== 'number') throw new CliError(`--param must be a numeric option, got "${param}"`);
+
+    const from = Number(flags.from);
+    const to = Number(flags.to);
+    const step = flags.step === undefined ? 1 : Number(flags.step);
+    if (![from, to, step].every(Number.isFinite) || step <= 0) throw new CliError('sweep needs numeric --from, --to and a positive --step');
+
+    const config = buildConfig(flags, ['param', 'from', 'to', 'step']);
+    if (config.nights > 1) throw new CliError('sweep runs single nights; drop --nights');
+    const generator = new HypnogramGenerator();
+
+    // Step count rather than float accumulation, so --step 0.1 lands on --to
+    const count = Math.floor((to - from) / step + 1e-9);
+    const values = [...Array(count + 1).keys()].map(i => Number((from + i * step).toFixed(6)));
+    values.forEach(value => {
+        checkRange(param, value);
+        checkInfantConfig({ ...config, [OPTIONS[param].key]: value });
+    });
+
+    console.log([param, ...COLUMNS.map(([h]) => h)].join(','));
+    values.forEach(value => {
+        const result = generator.generate({ ...config, [OPTIONS[param].key]: value });
+        console.log([value, ...statsRow(result.stats).map(v => (Number.isFinite(v) ? v.toFixed(2) : ''))].join(','));
+    });
+}
+
+function exportNight(flags) {
+    const format = flags.format;
+    if (!['csv', 'edf', 'json'].includes(format)) throw new CliError('export needs --format csv, edf or json');
+    const out = flags.out;
+    if (out === true) throw new CliError('--out needs a file name');
+    if (format === 'edf' && !out) throw new CliError('EDF+ is binary: give --out <file>');
+
+    const config = buildConfig(flags, ['format', 'out']);
+    checkInfantConfig(config);
+    if (config.nights > 1) throw new CliError('export writes a single night; drop --nights');
+    const result = new HypnogramGenerator().generate(config);
+
+    let data;
+    if (format === 'csv') data = EpochScoring.toCSV(result);
+    if (format === 'json') data = EpochScoring.toJSON(result, { config }) + '\n';
+    if (format === 'edf') data = EpochScoring.toEDF(result, { sex: config.gender === 'female' ? 'F' : 'M', patient: `Simulated_${config.age}y` });
+
+    if (out) fs.writeFileSync(out, data);
+    else process.stdout.write(data);
+}
+
+function main(argv) {
+    const { command, flags } = parseArgs(argv);
+    if (command === 'simulate') return simulate(flags);
+    if (command === 'sweep') return sweep(flags);
+    if (command === 'export') return exportNight(flags);
+    if (!command || command === 'help' || command === '--help') {
+        console.log(USAGE);
+        return;
+    }
+    throw new CliError(`Unknown command: ${command}`);
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (e) {
+    if (!(e instanceof CliError)) throw e;
+    console.error(`Error: ${e.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+}
@@ -1,9 +1,10 @@
 /**
- * Sleep Age Simulator - Data Models
- * Phase 6: Scientific Block Engine
- * 
- * Philosophy: Explicit Block Generation based on Meta-Analysis Constants.
- * No probabilistic noise. Fragmentation is an overlay.
+ * Sleep Age Simulator - Simulation Core
+ * STAGES, ScientificConstants, HypnogramGenerator, TwoProcessModel, CaffeineModel,
+ * AlcoholModel, ApneaModel, MedicationModel and PlmModel.
+ *
+ * Plain script, no DOM and no build step: loaded with a <script> tag in the
+ * browser (classes become globals) and with require() / import in Node.
  */
 
 const STAGES = {
@@ -14,190 +15,1779 @@ const STAGES = {
     N3: 4
 };
 
+// Typical caffeine per serving (mg)
+const CAFFEINE_SOURCES = {
+    espresso: { label: 'Espresso', mg: 63 },
+    coffee: { label: 'Filter Coffee', mg: 95 },
+    tea: { label: 'Black Tea', mg: 47 },
+    greenTea: { label: 'Green Tea', mg: 28 },
+    cola: { label: 'Cola', mg: 34 },
+    energyDrink: { label: 'Energy Drink', mg: 80 },
+    preWorkout: { label: 'Pre-Workout', mg: 200 },
+    custom: { label: 'Other', mg: 100 }
+};
+
+// Sleep-relevant drugs. `dose` is the typical dose (mg) the effects refer to;
+// effects are fractional changes (remLatency in cycles) while that dose is
+// at its peak over the first half of the night, and scale with plasma level.
+// `sedation` weights the level left at wake-up (next-morning residual).
+const MEDICATIONS = {
+    zolpidem: {
+        label: 'Zolpidem', category: 'Z-drug', doses: [5, 10], dose: 10, halfLife: 2.5, tmax: 1.5,
+        femaleExposure: 1.45, // Slower clearance in women
+        effects: { latency: -0.45, n1: -0.1, n3: 0, rem: -0.05, remLatency: 0.2, waso: -0.3 }, sedation: 1,
+        citation: 'Holm & Goa, 2000 (Drugs); FDA Drug Safety Communication, 2013'
+    },
+    zopiclone: {
+        label: 'Zopiclone', category: 'Z-drug', doses: [3.75, 7.5], dose: 7.5, halfLife: 5, tmax: 1.5,
+        effects: { latency: -0.4, n1: -0.1, n3: 0, rem: -0.05, remLatency: 0.2, waso: -0.35 }, sedation: 1,
+        citation: 'Wadworth & McTavish, 1993 (Drugs & Aging)'
+    },
+    temazepam: {
+        label: 'Temazepam', category: 'Benzodiazepine', doses: [10, 20, 30], dose: 20, halfLife: 10, tmax: 1.5,
+        effects: { latency: -0.35, n1: -0.3, n3: -0.4, rem: -0.15, remLatency: 0.3, waso: -0.4 }, sedation: 1,
+        citation: 'Holbrook et al., 2000 (CMAJ); Lancel, 1999 (Sleep)'
+    },
+    sertraline: {
+        label: 'Sertraline', category: 'SSRI', doses: [50, 100, 150], dose: 50, halfLife: 26, tmax: 6,
+        chronic: true, // Daily dosing: steady state, whatever the time of day
+        effects: { latency: 0.1, n1: 0.2, n3: -0.05, rem: -0.3, remLatency: 1, waso: 0.25 }, sedation: 0,
+        citation: 'Wilson & Argyropoulos, 2005 (Drugs); Wichniak et al., 2017 (Curr Psychiatry Rep)'
+    },
+    trazodone: {
+        label: 'Trazodone', category: 'Sedating antidepressant', doses: [25, 50, 100], dose: 50, halfLife: 7, tmax: 1.5,
+        effects: { latency: -0.2, n1: -0.1, n3: 0.25, rem: -0.1, remLatency: 0.3, waso: -0.25 }, sedation: 0.8,
+        citation: 'Mendelson, 2005 (J Clin Psychiatry)'
+    },
+    melatonin: {
+        label: 'Melatonin', category: 'Chronobiotic', doses: [0.5, 1, 3, 5], dose: 3, halfLife: 0.75, tmax: 0.75,
+        effects: { latency: -0.2, n1: 0, n3: 0, rem: 0, remLatency: 0, waso: 0 }, sedation: 0.1,
+        citation: 'Ferracioli-Oda et al., 2013 (PLoS One)'
+    },
+    diphenhydramine: {
+        label: 'Diphenhydramine', category: 'Antihistamine (H1)', doses: [25, 50], dose: 50, halfLife: 8, tmax: 2,
+        effects: { latency: -0.15, n1: 0, n3: 0, rem: -0.1, remLatency: 0.3, waso: -0.1 }, sedation: 1.2,
+        citation: 'Morin et al., 2005 (Sleep); Richardson et al., 2002 (J Clin Psychopharmacol)'
+    }
+};
+
+class SeededRandom {
+    // Mulberry32 PRNG. The optional stream name is mixed into the seed (FNV-1a)
+    // so independent draws (WASO placement, micro-arousals) don't shift each other.
+    constructor(seed = 1, stream = '') {
+        let h = (2166136261 ^ (seed >>> 0)) >>> 0;
+        for (let i = 0; i < stream.length; i++) {
+            h ^= stream.charCodeAt(i);
+            h = Math.imul(h, 16777619);
+        }
+        this.state = h >>> 0;
+    }
+
+    // Uniform float in [0, 1)
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
 class ScientificConstants {
-    // Data interpolated from Ohayon et al. (2004) & National Sleep Foundation
+    // Helper: Linear Interpolation between Keyframes
+    static interpolate(val, keyframes) {
+        if (val <= keyframes[0][0]) return keyframes[0][1];
+        if (val >= keyframes[keyframes.length - 1][0]) return keyframes[keyframes.length - 1][1];
+
+        for (let i = 0; i < keyframes.length - 1; i++) {
+            const [a1, v1] = keyframes[i];
+            const [a2, v2] = keyframes[i + 1];
+            if (val >= a1 && val <= a2) {
+                const t = (val - a1) / (a2 - a1);
+                return v1 + t * (v2 - v1);
+            }
+        }
+        return keyframes[keyframes.length - 1][1];
+    }
+
     static getAgeProfile(age) {
-        // 1. Total Sleep Time (Minutes)
-        let tst = 0;
-        if (age <= 5) tst = 660; // 11h
-        else if (age <= 12) tst = 600; // 10h
-        else if (age <= 18) tst = 540; // 9h
-        else if (age <= 60) tst = 480 - ((age - 18) * 1.5); // 8h -> 7h
-        else tst = 420; // 7h floor for elderly
-
-        // 2. Sleep Architecture Percentages (Target)
-        // N3: High in childhood, drops exponentially
-        let n3P = 0;
-        if (age <= 10) n3P = 0.25;
-        else if (age <= 20) n3P = 0.20;
-        else if (age <= 60) n3P = 0.20 - ((age - 20) * 0.004); // Drops to ~4% by 60
-        else n3P = 0.02; // Floor
-
-        // REM: Relatively stable, slight decline
-        let remP = 0.25;
-        if (age > 60) remP = 0.20;
-
-        // WASO (Wake After Sleep Onset): Increases linearly
-        // Minutes of wakefulness
-        let wasoMins = 10;
-        if (age > 20) wasoMins += (age - 20) * 1.5; // 80yo = ~100 mins wake
-
-        // N1: Increases with age
-        let n1P = 0.05 + (age / 100) * 0.10;
+        const interpolate = ScientificConstants.interpolate;
+
+        // 1. Total Sleep Time (Minutes) - Aggressive Tuning
+        // Age 0: 16h (960m)
+        // Age 3: 11.7h (700m)
+        // Age 5: 11.5h (690m)
+        // Age 12: 9.5h (570m)
+        // Age 18: 8.0h (480m)
+        // Age 40: 7.2h (432m)
+        // Age 60: 6.0h (360m)
+        // Age 80: 5.2h (312m) !! Aggressive Drop
+        // Age 90: 5.0h (300m)
+        const tstKeyframes = [
+            [0, 960],
+            [3, 700], // Night sleep once naps are (nearly) gone
+            [5, 690],
+            [12, 570],
+            [18, 480],
+            [40, 432],
+            [60, 360],
+            [80, 312],
+            [90, 300]
+        ];
+        const tst = interpolate(age, tstKeyframes);
+
+        // 2. Deep Sleep (N3) %
+        // High in childhood, drops in teens, stabilizes, drops in old age but NOT to zero.
+        const n3Keyframes = [
+            [0, 0.25],
+            [10, 0.25],
+            [18, 0.22], // Puberty drop
+            [40, 0.18],
+            [60, 0.15],
+            [80, 0.12], // Kept reasonable
+            [100, 0.10]
+        ];
+        let n3P = interpolate(age, n3Keyframes);
+
+        // 3. REM %
+        // Newborns have huge REM (50%). Drops to 25% by age 3-5. Stable 20-25% adult.
+        const remKeyframes = [
+            [0, 0.50],
+            [3, 0.30],
+            [5, 0.25],
+            [60, 0.23],
+            [80, 0.20],
+            [100, 0.18]
+        ];
+        let remP = interpolate(age, remKeyframes);
+
+        // 4. WASO (Wake After Sleep Onset) - Minutes
+        // 20yo: 10m. 80yo: 120m (Aggressive fragmentation).
+        const wasoKeyframes = [
+            [0, 5],
+            [30, 20],
+            [50, 45],
+            [70, 80],
+            [80, 120],
+            [90, 150]
+        ];
+        let wasoMins = interpolate(age, wasoKeyframes);
+
+        // 5. N1 (Light Sleep)
+        // Increases with age as Deep decreases.
+        const n1Keyframes = [
+            [0, 0.05],
+            [50, 0.05],
+            [80, 0.10],
+            [100, 0.12]
+        ];
+        let n1P = interpolate(age, n1Keyframes);
 
         // N2: The filler
         let n2P = 1.0 - (n3P + remP + n1P);
 
-        return { tst, n3P, remP, n1P, n2P, wasoMins };
+        // Safety normalization
+        if (n2P < 0) {
+            const sum = n3P + remP + n1P;
+            n3P = n3P / sum * 0.95;
+            remP = remP / sum * 0.95;
+            n1P = n1P / sum * 0.95;
+            n2P = 0.05;
+        }
+
+        // 6. Ultradian cycle length (minutes)
+        // ~60-70m in preschoolers, lengthening to the adult ~90m by adolescence
+        // (Jenni & Carskadon, 2004); slightly shorter again in old age.
+        const cycleKeyframes = [
+            [3, 70],
+            [5, 75],
+            [12, 85],
+            [18, 90],
+            [70, 90],
+            [90, 85]
+        ];
+        const cycleLength = interpolate(age, cycleKeyframes);
+
+        return { tst, n3P, remP, n1P, n2P, wasoMins, cycleLength };
+    }
+
+    static getNormSpread(age) {
+        // Between-person spread of each night metric at an age, for normative
+        // bands around the simulated median: SD for the roughly symmetric
+        // metrics, log-SD for the right-skewed ones (latency, WASO).
+        // After Ohayon et al. (2004) and Boulos et al. (2019).
+        const interpolate = ScientificConstants.interpolate;
+        return {
+            tst: { sd: interpolate(age, [[0, 60], [3, 40], [18, 45], [40, 55], [80, 65]]) },
+            sleepEfficiency: { sd: interpolate(age, [[0, 5], [5, 3], [20, 4], [50, 6], [80, 9]]) },
+            latency: { logSd: 0.55 },
+            wasoMins: { logSd: 0.7 },
+            n1P: { sd: interpolate(age, [[0, 0.02], [40, 0.03], [80, 0.04]]) },
+            n2P: { sd: 0.06 },
+            n3P: { sd: interpolate(age, [[0, 0.06], [18, 0.05], [60, 0.05], [80, 0.04]]) },
+            remP: { sd: interpolate(age, [[0, 0.08], [3, 0.05], [18, 0.04]]) },
+            meanCycleLength: { sd: interpolate(age, [[0, 8], [18, 10], [80, 12]]) }
+        };
+    }
+
+    // Value at standard-normal quantile z of a metric's normative spread
+    static normQuantile(median, spread, z) {
+        if (spread.logSd !== undefined) return median * Math.exp(z * spread.logSd);
+        return median + z * spread.sd;
+    }
+
+    // Percentile (0-100) of a value within a metric's normative spread
+    static normPercentile(value, median, spread) {
+        const z = spread.logSd !== undefined
+            ? Math.log(Math.max(value, 1e-6) / Math.max(median, 1e-6)) / spread.logSd
+            : (value - median) / spread.sd;
+        // Normal CDF via the Abramowitz & Stegun erf approximation (7.1.26)
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return 50 * (1 + (z < 0 ? -erf : erf));
+    }
+
+    static getInfantProfile(months) {
+        // Birth to 3 years, by age in months. Sleep per 24 h, naps and night
+        // wakings after Galland et al. (2012) and Iglowstein et al. (2003).
+        // Cycles are ~50 min at birth; newborns fall asleep into active (REM)
+        // sleep until ~3 months, and quiet sleep only separates into N2/N3
+        // from ~2 months on.
+        const interpolate = ScientificConstants.interpolate;
+        const totalSleep = interpolate(months, [[0, 876], [4, 816], [9, 774], [18, 756], [36, 720]]);
+        const daySleep = interpolate(months, [[0, 360], [4, 240], [9, 180], [18, 130], [36, 80]]);
+        return {
+            months,
+            totalSleep,
+            daySleep,
+            nightSleep: totalSleep - daySleep,
+            naps: Math.round(interpolate(months, [[0, 5], [4, 4], [9, 2.4], [15, 2], [18, 1], [36, 1]])),
+            cycleLength: interpolate(months, [[0, 50], [12, 60], [36, 70]]),
+            activeP: interpolate(months, [[0, 0.5], [3, 0.4], [6, 0.35], [12, 0.3], [36, 0.25]]),
+            quietN3: interpolate(months, [[0, 1], [2, 1], [6, 0.5], [36, 0.35]]), // N3 share of quiet sleep
+            activeOnset: months < 3,
+            nightWakings: interpolate(months, [[0, 3], [3, 2.5], [6, 2], [12, 1.2], [24, 0.8], [36, 0.5]]),
+            wakingMins: interpolate(months, [[0, 25], [6, 15], [36, 10]]), // Feeds and resettling
+            latency: interpolate(months, [[0, 15], [36, 20]]),
+            bedtime: interpolate(months, [[0, 22], [3, 20.5], [6, 19.5], [36, 19.75]]), // Clock hour
+            wakeUp: interpolate(months, [[0, 7], [6, 6.5], [36, 7]]),
+            tau_r: interpolate(months, [[0, 180], [12, 360], [36, 600]]), // Process S builds fast in infants
+            circadianAmplitude: Math.min(1, months / 4) // No day-night rhythm at birth
+        };
+    }
+
+    static getJetLagProfile(jetLag, residualShift) {
+        // Multi-night carry-over: a partially re-entrained body clock is passed
+        // in directly (+ = body runs later than local time, as after flying east)
+        if (typeof residualShift === 'number') {
+            let direction = 'none';
+            if (residualShift > 0) direction = 'east';
+            if (residualShift < 0) direction = 'west';
+            return { direction, zones: Math.abs(residualShift) / 60, circadianShift: residualShift };
+        }
+
+        // Time zones crossed per selector option
+        const profiles = {
+            none: { direction: 'none', zones: 0 },
+            west_mild: { direction: 'west', zones: 3 },
+            east_mild: { direction: 'east', zones: 3 },
+            west_severe: { direction: 'west', zones: 6 },
+            east_severe: { direction: 'east', zones: 6 }
+        };
+        const { direction, zones } = profiles[jetLag] || profiles.none;
+
+        // Body clock relative to local clock (minutes, + = body runs later).
+        // Flying east the body clock lags local time and must ADVANCE (harder);
+        // flying west it runs ahead and must DELAY (easier). Waterhouse et al. (2007).
+        let circadianShift = 0;
+        if (direction === 'east') circadianShift = zones * 60;
+        if (direction === 'west') circadianShift = -zones * 60;
+
+        return { direction, zones, circadianShift };
+    }
+
+    static getShiftSchedule(shiftWork, shiftStart = 22, shiftLength = 8, day = 0) {
+        // Work period in clock minutes (00:00 = 0). `adaptation` is the share of
+        // the new sleep time the body clock follows: permanent night workers
+        // adapt partially at best (Folkard, 2008), rotating rosters not at all.
+        if (!shiftWork || shiftWork === 'none') return null;
+
+        let startHour = shiftStart;
+        if (shiftWork === 'rotating') {
+            // Forward rotation, two of each: early, late, night
+            startHour = [6, 6, 14, 14, 22, 22][day % 6];
+        }
+        const start = (((startHour * 60) % 1440) + 1440) % 1440;
+        const length = shiftLength * 60;
+
+        // Night work = the shift covers the circadian nadir (02:00-05:00)
+        const nightWork = [120, 180, 240].some(t => (t - start + 1440) % 1440 < length);
+        const adaptation = nightWork && shiftWork === 'night' ? 0.25 : 0;
+
+        return { type: shiftWork, start, end: (start + length) % 1440, length, nightWork, adaptation };
+    }
+
+    static getReentrainmentRate(direction) {
+        // Minutes of body-clock shift recovered per day.
+        // Delays (westward) adapt ~1.5h/day, advances (eastward) ~1h/day.
+        if (direction === 'east') return 60;
+        if (direction === 'west') return 90;
+        return 0;
     }
 }
 
 class HypnogramGenerator {
     generate(config) {
-        const { age, gender, alcohol, caffeine, sdbSeverity, nocturia, chronotype } = config;
+        // Under 3: polyphasic infant / toddler sleep
+        if (config.age < 3) return this.generateInfant(config);
+
+        const {
+            age, gender, alcohol = 0, alcoholDrinks = [], caffeine = 0, caffeineTime = 0, caffeineIntakes = [],
+            caffeineMetabolism = 'normal', pregnant = false, oralContraceptives = false, smoker = false, weight = 70,
+            sdbSeverity = 0, ahi = sdbSeverity * 6, cpap = false, nocturia = 0, medications = [],
+            insomnia = 'none', narcolepsy = false, plmIndex = 0, restlessLegs = false, phaseDisorder = 'none',
+            chronotype = 'normal', socialJetLag = false, blueLight = false, jetLag = 'none',
+            isMenopausal = false, seed = 1, circadianShift: residualShift,
+            sleepDebt = 0, wakeTime = 'auto', upperThreshold, lowerThreshold,
+            shiftWork = 'none', shiftStart = 22, shiftLength = 8, shiftDay = 0,
+            naps = [], sleepPattern = 'monophasic', fixedBedtime = 'auto', alarmTime = 'none'
+        } = config;
+
+        // Seeded randomness: same inputs + same seed => same night
+        const wasoRng = new SeededRandom(seed, 'waso');
+        const arousalRng = new SeededRandom(seed, 'arousal');
 
         // 1. Get Base Profile
         const profile = ScientificConstants.getAgeProfile(age);
         let { tst, n3P, remP, n1P, n2P, wasoMins } = profile;
 
-        // 2. Apply Modifiers to Targets
+        // --- ADVANCED MODIFIERS ---
+
+        // 0. Blue Light (Screens)
+        // Melatonin delay -> later sleep onset via the Two-Process Model phase
+        if (blueLight) {
+            tst -= 30;
+            n3P *= 0.85;
+            remP *= 0.9;
+            n1P += 0.03;
+        }
+
+        // 3. Social Jet Lag
+        let bedtimeShift = 0;
+        if (socialJetLag) {
+            bedtimeShift = 180;
+            tst -= 60;
+            n3P *= 0.85;
+            remP *= 0.8;
+            wasoMins += 30;
+        }
+
+        // 4. Travel Jet Lag
+        // Bedtime stays on local clock; the body clock does not.
+        const jetLagProfile = ScientificConstants.getJetLagProfile(jetLag, residualShift);
+        const { circadianShift } = jetLagProfile;
+        // Onset and wake timing follow from the Two-Process Model (see Sleep Timing);
+        // here only the architecture penalties.
+        if (jetLagProfile.direction === 'east') {
+            // Phase-advance penalty: local bedtime falls in the biological
+            // "wake maintenance zone", and the local morning cuts into the
+            // late-night REM the body still expects.
+            tst -= jetLagProfile.zones * 10;
+            remP *= Math.max(0.6, 1 - (jetLagProfile.zones * 0.05));
+            wasoMins += jetLagProfile.zones * 5;
+        } else if (jetLagProfile.direction === 'west') {
+            // Phase-delay penalty: easy onset, but the body clock ends the
+            // night too early (spontaneous wake-up before the sleep need is met).
+            n3P *= Math.max(0.8, 1 - (jetLagProfile.zones * 0.02));
+        }
+        // REM is circadian-gated: it follows the body clock, not the pillow.
+        // Expressed in cycles (damped by half as homeostatic timing still dominates).
+        let remPhaseShift = (circadianShift / 90) * 0.5;
 
-        // Gender: Men have less N3, more WASO
+        // Gender Diff
         if (gender === 'male' && age > 30) {
-            n3P *= 0.7; // Significant N3 loss
-            wasoMins *= 1.3; // More fragmentation
+            // Slight fragmentation penalty
+            wasoMins *= 1.1;
         }
 
-        // Alcohol: Suppress REM, Increase WASO
-        if (alcohol > 0) {
-            remP *= Math.max(0.5, 1 - (alcohol * 0.1));
-            wasoMins += alcohol * 15;
+        // Menopause
+        if (config.isMenopausal) {
+            wasoMins += 45;
+            n3P *= 0.80;
+            remP *= 0.9;
+            n1P += 0.05;
         }
 
-        // Caffeine: Reduce N3, Increase Latency (handled later), Increase N1
-        if (caffeine > 0) {
-            n3P *= Math.max(0.5, 1 - (caffeine * 0.1));
-            n1P += caffeine * 0.02;
+        // Elderly Phase Shift (Restored)
+        let agePhaseShift = 0;
+        if (age > 65) {
+            // Linear shift from 65 (0) to 85 (-120)
+            const elderlyFactor = Math.min(1, (age - 65) / 20);
+            agePhaseShift = -120 * elderlyFactor;
         }
 
-        // SDB: Massive N3 reduction, Massive WASO/N1 increase
-        if (sdbSeverity > 0) {
-            const factor = sdbSeverity / 10;
-            n3P *= (1 - factor * 0.8);
+        // SDB (Sleep Apnea) - CALIBRATED
+        // Goal: AHI 60 @ 35yo ≈ Healthy @ 80yo. CPAP leaves a residual AHI.
+        const apneaPK = ApneaModel.getParameters({ ahi, cpap, age, weight });
+        if (apneaPK.ahi > 0) {
+            const factor = Math.min(1, apneaPK.ahi / 60); // 0 to 1
+
+            // N3: 35yo has ~15-20%. 80yo has ~5%.
+            // We need to reduce it by ~75% at max severity.
+            n3P *= (1 - factor * 0.75);
+
+            // REM: Fragmented.
             remP *= (1 - factor * 0.3);
-            wasoMins += factor * 60;
-            n1P += factor * 0.2;
+
+            // WASO: 35yo has ~20m. 80yo has ~90m. Diff = 70m.
+            // Add up to 80m linear.
+            wasoMins += factor * 80;
+
+            // N1 (Micro-arousals): Massive increase.
+            n1P += factor * 0.15;
+
+            // TST penalty (Apnea shortens sleep)
+            tst -= factor * 60;
         }
 
-        // Nocturia: Adds specific wake events, adds to WASO
+        // Nocturia
         if (nocturia > 0) {
             wasoMins += nocturia * 10;
         }
 
-        // Recalculate N2 as filler to ensure sum = 1.0 (excluding WASO time)
-        // Effective TST = TST - WASO
-        const effectiveTST = tst - wasoMins;
+        // Sleep disorders
+        let disorderLatency = 0;
+        let wakeChunkTarget = 15; // Typical length of one WASO episode
+        let terminalWake = 0; // Awake in bed at the end of the night
+        if (insomnia === 'onset') {
+            // Hyperarousal at lights-out: > 30 min to fall asleep
+            disorderLatency += 45;
+            tst -= 30;
+            n3P *= 0.9;
+        } else if (insomnia === 'maintenance') {
+            // Fewer, longer awakenings
+            wasoMins += 60;
+            wakeChunkTarget = 30;
+            tst -= 30;
+            n1P += 0.03;
+            n3P *= 0.9;
+        } else if (insomnia === 'early') {
+            // Final awakening well before the intended time, no return to sleep
+            terminalWake = 75;
+            tst -= 60;
+        }
+        if (narcolepsy) {
+            // Type 1 (hypocretin loss): sleep-onset REM, a night broken by
+            // many brief awakenings and more light sleep (AASM ICSD-3)
+            wasoMins += 40;
+            wakeChunkTarget = 5;
+            n1P += 0.08;
+            n3P *= 0.9;
+        }
+        if (restlessLegs) disorderLatency += 30; // Evening leg discomfort delays sleep onset
+        if (plmIndex > 0) wasoMins += Math.min(30, plmIndex * 0.3); // Arousals that run into wake
+
+        // 5. Sleep Debt (Process S carried over from previous nights)
+        // Unpaid sleep raises pressure at lights-out: faster onset, deeper and
+        // more consolidated early NREM, but only partial recovery of lost time.
+        // REM rebounds too, and arrives sooner (Brunner et al., 1990).
+        let debtLatencyFactor = 1;
+        if (sleepDebt > 0) {
+            const debtFactor = Math.min(1, sleepDebt / 480); // Saturates at one full night lost
+            n3P *= 1 + debtFactor * 0.4;
+            remP *= 1 + debtFactor * 0.25;
+            remPhaseShift -= debtFactor * 0.5;
+            wasoMins *= 1 - debtFactor * 0.3;
+            tst += Math.min(120, sleepDebt * 0.3);
+            debtLatencyFactor = 1 - debtFactor * 0.6;
+        }
+
+        // 6. Sleep Timing: Bedtime (behavioural) vs. Body Clock (Two-Process Model)
+        let startTimeOffset = 0;
+        if (chronotype === 'lark') startTimeOffset = -120;
+        if (chronotype === 'owl') startTimeOffset = 180;
+        if (socialJetLag) startTimeOffset += bedtimeShift;
+        startTimeOffset += agePhaseShift; // Apply elderly shift
+
+        // Teenage Phase Delay (Biological)
+        // Teens naturally want to go to bed later.
+        let teenShift = 0;
+        if (age >= 13 && age <= 21) {
+            // Peak at 17-19
+            if (age <= 17) {
+                // 13 -> 17: Ramp up 0 -> 90
+                teenShift = ((age - 13) / 4) * 90;
+            } else {
+                // 17 -> 21: Ramp down 90 -> 0
+                teenShift = 90 - ((age - 17) / 4) * 90;
+            }
+        }
+        startTimeOffset += teenShift;
+
+        let bedtime = 240 + startTimeOffset;
+
+        // The body clock follows chronotype, age and jet lag, but not the
+        // social-jet-lag bedtime (that is a behavioural choice).
+        let biologicalShift = startTimeOffset - (socialJetLag ? bedtimeShift : 0);
+
+        // Delayed / advanced sleep phase disorder: the body clock sits ~3 h
+        // later / earlier than the bedtime kept, which cuts the night short at
+        // one end (long onset latency, or early waking) and moves REM with it
+        const phaseDisorderShift = phaseDisorder === 'delayed' ? 180 : (phaseDisorder === 'advanced' ? -180 : 0);
+        biologicalShift += phaseDisorderShift;
+        remPhaseShift += (phaseDisorderShift / 90) * 0.5;
+
+        // 7. Shift Work: the roster, not the body clock, places the main sleep
+        const shift = ScientificConstants.getShiftSchedule(shiftWork, shiftStart, shiftLength, shiftDay);
+        let alarm = null; // Latest wake-up (axis minutes), set by the next shift
+        let misalignment = 0; // Minutes between sleep placement and the body clock
+        let bodyClockShift = 0;
+        let shiftPeriods = [];
+        if (shift) {
+            const toAxis = (clock) => ((clock - 1080) % 1440 + 1440) % 1440; // 18:00 = 0
+            const preferred = bedtime;
+            let end = toAxis(shift.end);
+            if (shift.nightWork) {
+                // Home and in bed about an hour after the shift
+                bedtime = end + 60;
+            } else {
+                // Day work: sleep between the last shift and the next one
+                if (end > preferred + 360) end -= 1440;
+                let nextStart = toAxis(shift.start);
+                if (nextStart <= preferred) nextStart += 1440;
+                alarm = nextStart - 60; // Commute and getting ready
+                // Early starts pull bedtime forward, but only so far
+                const wanted = Math.max(preferred - 120, Math.min(preferred, alarm - profile.tst));
+                bedtime = Math.max(end + 90, wanted);
+                shiftPeriods.push({ start: nextStart, end: nextStart + shift.length });
+            }
+            shiftPeriods.unshift({ start: end - shift.length, end });
+
+            // Partial adaptation drags the body clock toward the new sleep time
+            const displacement = bedtime - preferred;
+            bodyClockShift = displacement * shift.adaptation;
+            biologicalShift += bodyClockShift;
+            misalignment = Math.abs(displacement - bodyClockShift);
+            startTimeOffset = bedtime - 240;
+
+            if (misalignment > 0) {
+                // Sleeping against the clock: shorter, lighter, REM out of place
+                // (Akerstedt, 2003)
+                const hours = misalignment / 60;
+                tst -= Math.min(120, hours * 10);
+                n3P *= Math.max(0.8, 1 - hours * 0.02);
+                remP *= Math.max(0.7, 1 - hours * 0.03);
+                wasoMins += hours * 6; // Daylight, noise and a rising alerting signal
+                // Late relative to the body clock -> REM arrives early
+                remPhaseShift -= Math.max(-1.5, Math.min(1.5, ((displacement - bodyClockShift) / 90) * 0.5));
+            }
+        }
+
+        // Fixed schedule (e.g. CBT-I sleep restriction): lights-out and alarm
+        // by the clock. The body clock stays where it was.
+        if (fixedBedtime !== 'auto' && fixedBedtime !== null && fixedBedtime !== undefined) {
+            bedtime = ((Number(fixedBedtime) - 18) * 60 % 1440 + 1440) % 1440;
+            if (bedtime >= 1200) bedtime -= 1440; // 14:00-18:00 = before the evening
+            startTimeOffset = bedtime - 240;
+        }
+        if (alarmTime !== 'none' && alarmTime !== null && alarmTime !== undefined) {
+            // First ring at least an hour after lights-out
+            let ring = (Number(alarmTime) - 18) * 60;
+            while (ring <= bedtime + 60) ring += 1440;
+            while (ring - 1440 > bedtime + 60) ring -= 1440;
+            alarm = alarm === null ? ring : Math.min(alarm, ring);
+        }
+
+        // 9. Caffeine: plasma level over the first hours of sleep, in cups
+        // (95 mg) worth of fully absorbed caffeine. `caffeine` cups taken
+        // `caffeineTime` hours before lights-out is the single-dose shorthand.
+        const caffeinePK = CaffeineModel.getParameters({ metabolism: caffeineMetabolism, pregnant, oralContraceptives, smoker, weight });
+        const intakes = CaffeineModel.placeIntakes(caffeineIntakes, bedtime);
+        if (caffeine > 0) intakes.push({ t: bedtime - caffeineTime * 60, mg: caffeine * CAFFEINE_SOURCES.coffee.mg, source: 'coffee' });
+        const activeCaffeine = CaffeineModel.meanConcentration(intakes, bedtime, bedtime + 180, caffeinePK) / CaffeineModel.cupConcentration(caffeinePK);
+
+        if (activeCaffeine > 0.1) {
+            n3P *= Math.max(0.5, 1 - (activeCaffeine * 0.15));
+            n1P += activeCaffeine * 0.03;
+            tst -= activeCaffeine * 15; // Reduce total sleep by 15m per cup equivalent
+            wasoMins += activeCaffeine * 15; // Increase fragmentation
+        }
+
+        // 10. Alcohol: Widmark BAC through the night. `alcohol` drinks an hour
+        // before lights-out is the single-dose shorthand. The load is BAC at
+        // lights-out in units of 0.02% (about one drink still on board).
+        const alcoholPK = AlcoholModel.getParameters({ gender, weight });
+        const drinks = AlcoholModel.placeDrinks(alcoholDrinks, bedtime);
+        if (alcohol > 0) drinks.push({ t: bedtime - 60, drinks: alcohol });
+        drinks.sort((a, b) => a.t - b.t);
+        const bacAtBed = AlcoholModel.bac(drinks, bedtime, alcoholPK);
+        const alcoholLoad = bacAtBed / 0.02;
+        let peakBAC = 0;
+
+        if (alcoholLoad > 0.05) {
+            n3P *= Math.max(0.6, 1 - (alcoholLoad * 0.1));
+            remP *= Math.max(0.4, 1 - (alcoholLoad * 0.15));
+            wasoMins += alcoholLoad * 25;
+        }
+
+        // 11. Medications: effects scale with the plasma level over the first
+        // half of the night, relative to each drug's typical dose at its peak
+        const doses = MedicationModel.placeDoses(medications, bedtime, gender);
+        const medEffects = MedicationModel.nightEffects(doses, bedtime);
+        n1P *= Math.max(0.3, 1 + medEffects.n1);
+        n3P *= Math.max(0.3, 1 + medEffects.n3);
+        remP *= Math.max(0.3, 1 + medEffects.rem);
+        wasoMins *= Math.max(0.3, 1 + medEffects.waso);
+        remPhaseShift += medEffects.remLatency; // REM arrives later
+        const medLatencyFactor = Math.max(0.3, 1 + medEffects.latency);
+
+        const twoProcess = TwoProcessModel.getParameters({
+            phaseShift: biologicalShift, blueLight, circadianShift, sleepNeed: profile.tst,
+            upperThreshold, lowerThreshold
+        });
+        const priorWake = TwoProcessModel.resolveWakeTime(wakeTime, bedtime);
+        // Unpaid debt leaves pressure undischarged at the previous wake-up
+        const S0 = TwoProcessModel.thresholds(priorWake, twoProcess).lower + Math.min(1, sleepDebt / 480) * 0.25;
+
+        // 8. Naps: each one discharges Process S before the main sleep
+        // Biphasic = a siesta on top of any naps given
+        const napList = sleepPattern === 'biphasic' ? [{ time: 14, duration: 60 }, ...naps] : naps;
+        const napResults = [];
+        napList
+            .map(nap => {
+                // Clock hour -> the same day as this night (after the previous wake-up)
+                let start = (nap.time - 18) * 60;
+                while (start < priorWake) start += 1440;
+                while (start - 1440 >= priorWake) start -= 1440;
+                return { start, duration: Math.min(nap.duration, bedtime - 30 - start) };
+            })
+            .filter(nap => nap.duration >= 10)
+            .sort((a, b) => a.start - b.start)
+            .forEach(nap => {
+                const prev = napResults[napResults.length - 1];
+                if (prev && nap.start < prev.episode.end) return; // Overlapping naps: keep the first
+                const napEpisodes = napResults.map(r => r.episode);
+                const pressure = TwoProcessModel.pressure(twoProcess, priorWake, S0, napEpisodes, nap.start);
+                napResults.push(this.generateNap(nap.start, nap.duration, pressure, profile.n3P));
+            });
+        const napEpisodes = napResults.map(r => r.episode);
+        const napMins = napResults.reduce((sum, r) => sum + r.tst, 0);
+
+        // Less pressure at lights-out -> less slow-wave sleep (Werth et al., 1996)
+        if (napEpisodes.length) {
+            const ratio = TwoProcessModel.pressure(twoProcess, priorWake, S0, napEpisodes, bedtime) /
+                TwoProcessModel.pressure(twoProcess, priorWake, S0, [], bedtime);
+            n3P *= Math.max(0.5, ratio * ratio);
+        }
+
+        // Recalculate N2
+        // TST is now PURE SLEEP target.
         const totalP = n3P + remP + n1P;
-        if (totalP > 0.9) { // Safety
-            const scale = 0.9 / totalP;
+        if (totalP > 0.95) {
+            const scale = 0.95 / totalP;
             n3P *= scale; remP *= scale; n1P *= scale;
         }
         n2P = 1.0 - (n3P + remP + n1P);
 
-        // 3. Generate Cycles (Block Engine)
-        const cycleLength = 90; // mins
-        const numCycles = Math.floor(effectiveTST / cycleLength);
+        const lastNap = napEpisodes[napEpisodes.length - 1];
+        const predictedOnset = lastNap
+            ? TwoProcessModel.predictSleepOnset(twoProcess, lastNap.end, TwoProcessModel.pressure(twoProcess, priorWake, S0, napEpisodes, lastNap.end), bedtime)
+            : TwoProcessModel.predictSleepOnset(twoProcess, priorWake, S0, bedtime);
+
+        // 3. Generate Cycles (Continuous Engine)
+        // FIX: Replaced integer cycle count with continuous loop to prevent jumps.
+
         const blocks = [];
         let currentTime = 0;
 
         // Latency
-        let latency = 15 + (age > 60 ? 10 : 0) + (caffeine * 15);
-        if (alcohol > 0) latency = Math.max(5, latency - 10);
+        // Circadian/homeostatic part: time until S meets the upper threshold
+        // (~10m for an aligned sleeper), plus age increases (Ohayon 2004).
+        // Past that, lying in bed against the body clock still ends in sleep
+        // (pressure keeps rising, arousal fades), so the extra delay saturates
+        // towards ~70m instead of tracking the full threshold crossing.
+        const crossingDelay = predictedOnset.time - bedtime;
+        const onsetDelay = crossingDelay <= 10
+            ? Math.max(5, crossingDelay)
+            : 10 + 60 * (1 - Math.exp(-(crossingDelay - 10) / 80));
+        let latency = onsetDelay + Math.max(0, (age - 20) * 0.25) + (activeCaffeine * 20);
+        if (alcoholLoad > 0.05) latency = Math.max(5, latency - (alcoholLoad * 5));
+        if (config.isMenopausal) latency += 15; // Difficulty falling asleep
+        latency += disorderLatency;
+        latency = Math.max(5, latency * debtLatencyFactor * medLatencyFactor);
+        if (narcolepsy) latency = Math.min(latency, 5); // Falls asleep almost at once
+
+        // Spontaneous wake-up: decaying S meets the lower threshold.
+        // Only sleep discharges S, so this caps sleep time, not time in bed.
+        const sleepOnset = bedtime + latency;
+        const S_onset = TwoProcessModel.pressure(twoProcess, priorWake, S0, napEpisodes, sleepOnset);
+        const predictedWake = TwoProcessModel.predictWake(twoProcess, sleepOnset, S_onset);
+        const sleepOpportunity = predictedWake.time - sleepOnset;
+        const alarmLimited = alarm !== null && alarm < predictedWake.time;
+        const sleepTarget = Math.min(tst, sleepOpportunity);
+
+        // Sleep pressure at onset above the threshold it fell asleep at:
+        // 0 for a rested sleeper, 1 after a long or sleep-deprived day
+        const excessPressure = Math.max(0, Math.min(1,
+            (S_onset - TwoProcessModel.thresholds(sleepOnset, twoProcess).upper) / 0.15 + Math.min(1, sleepDebt / 480) * 0.5));
 
         blocks.push({ stage: STAGES.WAKE, duration: latency, start: 0 });
         currentTime += latency;
 
-        for (let i = 0; i < numCycles; i++) {
-            // Cycle Architecture:
-            // Early cycles: N3 dominant
-            // Late cycles: REM dominant
+        // Initial N1
+        const initialN1 = narcolepsy ? 2 : 5 + (age > 50 ? 5 : 0) + (activeCaffeine * 5);
+        blocks.push({ stage: STAGES.N1, duration: initialN1, start: currentTime });
+        currentTime += initialN1;
 
-            const progress = i / numCycles; // 0 to 1
+        // Narcolepsy: sleep-onset REM period (REM within 15 min of sleep onset)
+        const soremp = narcolepsy ? 12 : 0;
+        if (soremp) {
+            blocks.push({ stage: STAGES.REM, duration: soremp, start: currentTime });
+            currentTime += soremp;
+        }
+
+        // Calculate Wake Injection Points
+        const numWakeChunks = Math.max(1, Math.floor(wasoMins / wakeChunkTarget));
+        const wakeChunkDuration = wasoMins / numWakeChunks;
+        const wakeInsertionIndices = [];
+        // Estimate max cycles for distribution
+        const estCycles = Math.ceil(sleepTarget / profile.cycleLength);
+        for (let k = 0; k < numWakeChunks; k++) {
+            wakeInsertionIndices.push(Math.floor(wasoRng.next() * estCycles));
+        }
+        wakeInsertionIndices.sort((a, b) => a - b);
+        let wakeChunkIndex = 0;
+
+        // CONTINUOUS LOOP
+        // We run until we have generated enough *Sleep* (non-wake) time to match TST.
+        // We track 'accumulatedSleep' separately from 'currentTime' (which includes Waso).
+
+        // Initialize accumulatedSleep with the Initial N1 we already added
+        let accumulatedSleep = initialN1 + soremp;
+        let cycleIndex = 0;
+        let watchDone = sleepPattern !== 'segmented'; // Segmented: "first" and "second" sleep (Ekirch, 2001)
+
+        // Cycles vary in length around the age norm. A skipped first REM period
+        // (the first NREM episode runs on into the second cycle) is common in
+        // children and teens, after sleep loss, with alcohol on board and on
+        // REM-delaying drugs such as SSRIs.
+        const cycleRng = new SeededRandom(seed, 'cycle');
+        const skipChance = narcolepsy ? 0 : Math.min(0.8, (age < 20 ? 0.25 : 0.08) + excessPressure * 0.3 +
+            Math.max(0, remPhaseShift) * 0.3 + (alcoholLoad > 0.05 ? 0.15 : 0));
+        const skippedFirstREM = cycleRng.next() < skipChance;
+        const cycles = [];
+        let carriedREM = 0; // REM the skipped period owes the next one
+        let carriedCycle = null; // A skipped cycle, merged into the next
+
+        while (sleepTarget - accumulatedSleep > 1e-6) { // Ignore float residue
+            const cycleProgress = Math.min(1, cycleIndex / 5); // Cap aging effect at 5 cycles
 
             // Local Cycle Percentages
-            let localN3 = n3P * (1 - progress) * 2.0; // Boost early
-            let localREM = remP * (0.5 + progress * 1.5); // Boost late
+            // First cycles have more N3. Later have more REM.
+            let localN3 = n3P * (1 - (cycleIndex * 0.15)) * 2.0;
+            // Dampen N3 decay slightly so it doesn't vanish too fast
+
+            const remCycle = Math.max(0, cycleIndex - remPhaseShift);
+            let localREM = remP * (0.5 + (remCycle * 0.20) * 1.5);
+            // Increase REM in later cycles (shifted by jet lag)
 
-            // Normalize local cycle
+            // This cycle's length: +/-12% night-to-night spread. High pressure
+            // stretches the first, slow-wave-heavy cycles.
+            let cycleLength = profile.cycleLength * (0.88 + cycleRng.next() * 0.24);
+            if (cycleIndex < 2) cycleLength *= 1 + excessPressure * (cycleIndex === 0 ? 0.2 : 0.1);
+
+            // Alcohol Logic: sedation while BAC is up, REM rebound once it has
+            // been metabolized (Ebrahim et al., 2013)
+            if (drinks.length) {
+                const bac = AlcoholModel.bac(drinks, bedtime + currentTime + cycleLength / 2, alcoholPK);
+                peakBAC = Math.max(peakBAC, bac);
+                if (bac > 0.001) {
+                    const load = bac / 0.02;
+                    localN3 *= (1 + load * 0.1);
+                    localREM *= Math.max(0.1, 1 - (load * 0.3));
+                    cycleLength *= 1 + Math.min(0.3, load * 0.1); // Consolidated NREM runs longer
+                } else if (peakBAC > 0.005) {
+                    const peakLoad = peakBAC / 0.02;
+                    localREM *= (1 + Math.min(1.5, peakLoad * 0.2));
+                    localN3 *= 0.5;
+                }
+            }
+
+            // Normalize
             let localN2 = 1.0 - (localN3 + localREM);
-            if (localN2 < 0) { // Clamp
-                const overflow = -localN2;
-                localN3 -= overflow / 2;
-                localREM -= overflow / 2;
-                localN2 = 0;
+            if (localN2 < 0) {
+                const total = localN3 + localREM;
+                localN3 = (localN3 / total) * 0.9;
+                localREM = (localREM / total) * 0.9;
+                localN2 = 0.1;
             }
 
-            // Generate Blocks for this Cycle
-            // Order: N1 -> N2 -> N3 -> N2 -> REM
-            // We simplify to: N2 -> N3 -> N2 -> REM (N1 is transition noise)
+            // Determine Cycle Duration
+            // The last cycle might be partial if we only need a few minutes to hit TST.
+            let remainingSleep = sleepTarget - accumulatedSleep;
+            let currentCycleSleep = Math.min(cycleLength, remainingSleep);
 
-            const cycleMins = cycleLength;
+            // If it's a tiny sliver (< 10 mins), maybe just skip it or merge? 
+            // Better to show it for exactness.
 
-            // N3 Block
-            if (localN3 > 0.05) {
-                blocks.push({ stage: STAGES.N2, duration: cycleMins * 0.1, start: currentTime });
-                currentTime += cycleMins * 0.1;
+            // Distribute currentCycleSleep into stages
+            const cycleStart = currentTime;
+            const push = (stage, duration) => {
+                if (duration <= 0) return;
+                blocks.push({ stage, duration, start: currentTime });
+                currentTime += duration;
+                accumulatedSleep += duration;
+            };
+            let dN3 = currentCycleSleep * localN3;
+            let dN2Pre = currentCycleSleep * (localN2 * 0.4); // N2 Bridge (Pre) - 40% of N2
+            let dN2Post = currentCycleSleep * (localN2 * 0.6); // N2 Bridge (Post) - 60% of N2
+            let dREM = currentCycleSleep * localREM;
 
-                blocks.push({ stage: STAGES.N3, duration: cycleMins * localN3, start: currentTime });
-                currentTime += cycleMins * localN3;
-            } else {
-                // Replace N3 with N2 if negligible
-                blocks.push({ stage: STAGES.N2, duration: cycleMins * (0.1 + localN3), start: currentTime });
-                currentTime += cycleMins * (0.1 + localN3);
+            // A few minutes of N3 don't make a slow-wave episode: stay in N2
+            if (dN3 < 3) {
+                dN2Post += dN3;
+                dN3 = 0;
             }
 
-            // N2 Bridge
-            blocks.push({ stage: STAGES.N2, duration: cycleMins * (localN2 * 0.5), start: currentTime });
-            currentTime += cycleMins * (localN2 * 0.5);
+            // Skipped first REM period: the REM "attempt" stays in light NREM
+            // and the next REM period runs long
+            const skipREM = skippedFirstREM && cycleIndex === 0 && currentCycleSleep < remainingSleep;
+            if (skipREM) {
+                dN2Post += dREM;
+                carriedREM = dREM;
+                dREM = 0;
+            } else if (carriedREM > 0) {
+                const moved = Math.min(carriedREM, dN2Post);
+                dREM += moved;
+                dN2Post -= moved;
+                carriedREM = 0;
+            }
+
+            push(STAGES.N2, dN2Pre);
+
+            // N3 descends and ascends through N2: long episodes break up with
+            // brief N2 returns, taken from the post-N3 bridge
+            if (dN3 > 0) {
+                const episodes = Math.min(3, 1 + Math.floor(dN3 / (20 + cycleRng.next() * 20)));
+                for (let e = 0; e < episodes; e++) {
+                    push(STAGES.N3, dN3 / episodes);
+                    if (e < episodes - 1) {
+                        const interlude = Math.min(dN2Post * 0.25, 1 + cycleRng.next() * 2);
+                        push(STAGES.N2, interlude);
+                        dN2Post -= interlude;
+                    }
+                }
+            }
+
+            push(STAGES.N2, dN2Post);
+            push(STAGES.REM, dREM);
 
-            // REM Block
-            // Alcohol suppression check
-            let thisRem = localREM;
-            if (alcohol > 0 && i < 2) thisRem *= 0.2; // Suppress early
+            // Post-REM N1 (Transition) - only if full cycle
+            if (!skipREM && currentCycleSleep >= cycleLength * 0.9) {
+                const transN1 = 2 + (age > 50 ? 2 : 0);
+                // Note: This adds to TST? Yes, N1 is sleep.
+                push(STAGES.N1, transN1);
+            }
+
+            // Sleep minutes of each NREM-REM cycle, a skipped one merged into the next
+            const cycle = carriedCycle || { start: cycleStart, length: 0 };
+            cycle.length += currentTime - cycleStart;
+            cycle.end = currentTime;
+            cycle.complete = currentCycleSleep >= cycleLength * 0.9;
+            if (skipREM) carriedCycle = cycle;
+            else {
+                cycles.push(cycle);
+                carriedCycle = null;
+            }
+
+            // --- INJECT REAL WAKE BLOCKS (WASO) ---
+            // These do NOT count towards accumulatedSleep
+            while (wakeChunkIndex < wakeInsertionIndices.length && wakeInsertionIndices[wakeChunkIndex] === cycleIndex) {
+                blocks.push({ stage: STAGES.WAKE, duration: wakeChunkDuration, start: currentTime });
+                currentTime += wakeChunkDuration;
+                wakeChunkIndex++;
+            }
 
-            blocks.push({ stage: STAGES.REM, duration: cycleMins * thisRem, start: currentTime });
-            currentTime += cycleMins * thisRem;
+            // The night-time watch between first and second sleep
+            if (!watchDone && accumulatedSleep >= sleepTarget * 0.45) {
+                blocks.push({ stage: STAGES.WAKE, duration: 60, start: currentTime });
+                currentTime += 60;
+                watchDone = true;
+            }
+
+            cycleIndex++;
         }
 
-        // 4. Fragmentation Overlay (The "Thin Lines")
-        // We generate a list of Wake Events to be drawn ON TOP of blocks
-        const wakeEvents = [];
-        const numWakeEvents = Math.floor(wasoMins / 2); // Avg 2 min wake
+        // Early-morning awakening insomnia: awake until getting up
+        if (terminalWake > 0) {
+            blocks.push({ stage: STAGES.WAKE, duration: terminalWake, start: currentTime });
+            currentTime += terminalWake;
+        }
 
-        for (let i = 0; i < numWakeEvents; i++) {
-            // Random time after sleep onset
-            const wakeT = latency + Math.random() * effectiveTST;
-            wakeEvents.push({ time: wakeT, duration: 2 + Math.random() * 3 });
+        // Early-morning awakening: the body clock ended the night before the
+        // sleep need was met; lie awake in bed for part of the shortfall.
+        if (!alarmLimited && sleepOpportunity < tst) {
+            const earlyWakeMins = Math.min(60, (tst - sleepOpportunity) * 0.5);
+            blocks.push({ stage: STAGES.WAKE, duration: earlyWakeMins, start: currentTime });
+            currentTime += earlyWakeMins;
         }
 
-        // Nocturia Events (Fixed spacing roughly)
-        if (nocturia > 0) {
-            for (let i = 1; i <= nocturia; i++) {
-                const time = latency + (effectiveTST * (i / (nocturia + 1))) + (Math.random() * 30 - 15);
-                wakeEvents.push({ time: time, duration: 10 }); // 10 min bathroom break
-            }
+        // Alarm: the night ends where it rings, mid-cycle or mid-REM. The late
+        // cycles it cuts off are the REM-rich ones.
+        const alarmCut = { sleep: 0, rem: 0 };
+        const lostByStage = [0, 0, 0, 0, 0];
+        if (alarm !== null && bedtime + currentTime > alarm) {
+            const cut = Math.max(0, alarm - bedtime);
+            blocks.forEach(b => {
+                const lost = Math.min(b.duration, b.start + b.duration - cut);
+                if (lost > 0) lostByStage[b.stage] += lost;
+            });
+            alarmCut.sleep = lostByStage.reduce((sum, m, stage) => (stage === STAGES.WAKE ? sum : sum + m), 0);
+            alarmCut.rem = lostByStage[STAGES.REM];
+            const kept = blocks.filter(b => b.start < cut);
+            kept.forEach(b => { b.duration = Math.min(b.duration, cut - b.start); });
+            blocks.length = 0;
+            blocks.push(...kept);
+            const keptCycles = cycles.filter(c => c.start < cut);
+            keptCycles.forEach(c => {
+                if (c.end <= cut) return;
+                c.length -= c.end - cut;
+                c.end = cut;
+                c.complete = false;
+            });
+            cycles.length = 0;
+            cycles.push(...keptCycles);
+            currentTime = cut;
         }
 
-        // 5. Post-Processing
-        let startTimeOffset = 0;
-        if (chronotype === 'lark') startTimeOffset = -120;
-        if (chronotype === 'owl') startTimeOffset = 180;
+        // 4. Fragmentation Overlay (Thin Lines)
+        // These are MICRO-arousals (don't add time, just paint over)
+        // We reduced WASO by converting it to blocks, but we can keep some micro-arousals for visual texture.
+        const wakeEvents = [];
+        const numMicroArousals = 5 + (age > 50 ? 5 : 0) + (narcolepsy ? 20 : 0);
+
+        for (let i = 0; i < numMicroArousals; i++) {
+            const wakeT = latency + arousalRng.next() * Math.max(0, currentTime - latency); // Distribute across total time
+            wakeEvents.push({ time: wakeT, duration: 1 }); // 1 min micro-arousal
+        }
+
+        // Apnea events: each one ends in an arousal and a desaturation
+        const apneaRng = new SeededRandom(seed, 'apnea');
+        const positions = apneaPK.ahi > 0 ? ApneaModel.positions(currentTime, new SeededRandom(seed, 'position')) : [];
+        const apneaEvents = ApneaModel.events(blocks, positions, apneaPK, apneaRng);
+        apneaEvents.forEach(e => wakeEvents.push({ time: e.start + e.duration, duration: 0.25, apnea: true }));
+        const spo2Trace = apneaEvents.length ? ApneaModel.spo2(apneaEvents, 0, currentTime, apneaPK) : [];
+        const oximetry = ApneaModel.summarize(apneaEvents, spo2Trace, blocks, apneaPK);
+
+        // Periodic limb movements: trains of kicks, some ending in an arousal
+        const plmEvents = PlmModel.events(blocks, plmIndex, new SeededRandom(seed, 'plm'));
+        plmEvents.forEach(e => { if (e.arousal) wakeEvents.push({ time: e.start, duration: 0.25, plm: true }); });
+
+        // Metrics Calculation
+        // TST = Pure Sleep Time (calculated from blocks excluding Wake)
+        // TIB = Total Time in Bed (currentTime)
+        // SE = TST / TIB
+
+        // Recalculate actual TST from blocks
+        const actualTST = blocks.reduce((sum, b) => (b.stage !== STAGES.WAKE ? sum + b.duration : sum), 0);
+        const tib = currentTime;
+        const sleepEfficiency = (actualTST / tib) * 100;
+
+        // WASO as scored: every wake block from sleep onset to the end of the
+        // night (maintenance awakenings, the segmented watch, early waking),
+        // not the target the chunks were planned from. With latency capped at
+        // an alarm that rang first, latency + WASO + TST = TIB.
+        const onsetIndex = blocks.findIndex(b => b.stage !== STAGES.WAKE);
+        const measuredWaso = onsetIndex < 0 ? 0 : blocks.slice(onsetIndex)
+            .reduce((sum, b) => (b.stage === STAGES.WAKE ? sum + b.duration : sum), 0);
+
+        // Stage shares as drawn: the kept blocks, not the planned targets
+        const stageMins = [0, 0, 0, 0, 0];
+        blocks.forEach(b => { stageMins[b.stage] += b.duration; });
+        const share = (stage) => (actualTST > 0 ? stageMins[stage] / actualTST : 0);
+
+        // REM latency: sleep onset to the first REM epoch
+        const firstSleep = blocks.find(b => b.stage !== STAGES.WAKE);
+        const firstREM = blocks.find(b => b.stage === STAGES.REM && b.duration > 0);
+        const remLatency = firstSleep && firstREM ? firstREM.start - firstSleep.start : null;
+        const completeCycles = cycles.filter(c => c.complete);
+        const meanCycleLength = completeCycles.length
+            ? completeCycles.reduce((sum, c) => sum + c.length, 0) / completeCycles.length
+            : null;
 
+        const toAxis = (t) => t + 240 + startTimeOffset;
         return {
             blocks: blocks.map(b => ({ ...b, start: b.start + 240 + startTimeOffset })),
             wakeEvents: wakeEvents.map(w => ({ ...w, time: w.time + 240 + startTimeOffset })),
-            params: { chronotype, startTimeOffset },
-            stats: { n3P, remP, n1P, n2P, wasoMins, tst } // For Pie Chart
+            params: {
+                chronotype, startTimeOffset, tst: actualTST, tib, circadianShift, jetLag: jetLagProfile, // Pass TIB for marker
+                alarm, alarmRang: alarmCut.sleep > 0,
+                caffeine: { intakes, pk: caffeinePK },
+                alcohol: { drinks, pk: alcoholPK },
+                plm: plmEvents.length ? plmEvents.map(e => ({ ...e, start: toAxis(e.start) })) : null,
+                phaseDisorderShift,
+                cycles: cycles.map(c => ({ ...c, start: toAxis(c.start), end: toAxis(c.end) })),
+                medications: { doses: doses.map(d => ({ ...d, t: toAxis(d.t) })), effects: medEffects },
+                apnea: apneaPK.untreatedAhi > 0 ? {
+                    ...apneaPK,
+                    events: apneaEvents.map(e => ({ ...e, start: toAxis(e.start) })),
+                    positions: positions.map(p => ({ ...p, start: toAxis(p.start), end: toAxis(p.end) })),
+                    spo2: spo2Trace.map(p => ({ ...p, t: toAxis(p.t) }))
+                } : null,
+                shift: shift ? { ...shift, periods: shiftPeriods, alarm, misalignment, bodyClockShift } : null,
+                twoProcess: {
+                    model: twoProcess, priorWake, S0, bedtime, sleepOnset,
+                    predictedOnset: predictedOnset.time, spontaneousWake: predictedWake.time,
+                    naps: napEpisodes
+                }
+            },
+            naps: napResults.map(r => ({ blocks: r.blocks, tst: r.tst, n3: r.n3 })),
+            stats: { n3P: share(STAGES.N3), remP: share(STAGES.REM), n1P: share(STAGES.N1), n2P: share(STAGES.N2), wasoMins: measuredWaso, tst: actualTST, tib, sleepEfficiency, latency: Math.min(latency, tib), sleepNeed: profile.tst, sleepDebt, misalignment, napMins, alarmCut,
+                caffeineAtBed: CaffeineModel.concentration(intakes, bedtime, caffeinePK), bacAtBed, peakBAC: Math.max(bacAtBed, peakBAC),
+                residualSedation: MedicationModel.residual(doses, bedtime + tib),
+                remLatency, soremp: remLatency !== null && remLatency <= 15,
+                cycles: completeCycles.length, meanCycleLength, skippedFirstREM,
+                ...PlmModel.summarize(plmEvents, actualTST),
+                ...oximetry }
+        };
+    }
+
+    generateNap(start, duration, pressure, n3P) {
+        // A nap has its own architecture: quick onset when pressure is high,
+        // N3 only after ~20 min of lighter sleep, REM only on long naps.
+        const blocks = [];
+        let t = start;
+        const push = (stage, mins) => {
+            if (mins <= 0) return;
+            blocks.push({ stage, duration: mins, start: t });
+            t += mins;
+        };
+
+        const latency = Math.min(duration * 0.5, Math.max(3, 20 * (1 - pressure)));
+        let left = duration - latency;
+        push(STAGES.WAKE, latency);
+
+        const n1 = Math.min(left, 5);
+        push(STAGES.N1, n1);
+        left -= n1;
+        const n2Pre = Math.min(left, 15);
+        push(STAGES.N2, n2Pre);
+        left -= n2Pre;
+
+        const rem = duration >= 70 ? Math.min(left, 10 + (duration - 70) * 0.3) : 0;
+        const n3 = Math.min(left - rem, (left - rem) * Math.min(0.6, n3P * 2 * (pressure / 0.5)));
+        push(STAGES.N3, n3);
+        push(STAGES.N2, left - rem - n3);
+        push(STAGES.REM, rem);
+
+        return {
+            blocks,
+            tst: duration - latency,
+            n3,
+            episode: { start: start + latency, end: start + duration } // Asleep part, for Process S
+        };
+    }
+
+    static infantIgnoredInputs(config) {
+        // Config keys set away from their neutral value that the infant model
+        // (under 3) does not use: it is driven by age alone
+        const neutral = {
+            alcohol: 0, alcoholDrinks: [], caffeine: 0, caffeineIntakes: [], caffeineMetabolism: 'normal',
+            pregnant: false, oralContraceptives: false, smoker: false,
+            sdbSeverity: 0, ahi: 0, cpap: false, nocturia: 0, medications: [],
+            insomnia: 'none', narcolepsy: false, plmIndex: 0, restlessLegs: false, phaseDisorder: 'none',
+            isMenopausal: false, chronotype: 'normal', socialJetLag: false, blueLight: false, jetLag: 'none',
+            shiftWork: 'none', sleepDebt: 0, wakeTime: 'auto', naps: [], sleepPattern: 'monophasic',
+            fixedBedtime: 'auto', alarmTime: 'none', upperThreshold: 0.66, lowerThreshold: 0.12
+        };
+        return Object.keys(neutral).filter(key => config[key] !== undefined &&
+            JSON.stringify(config[key]) !== JSON.stringify(neutral[key]));
+    }
+
+    generateInfant(config) {
+        // One 24 h infant day: naps from the morning wake-up, then the night
+        // in short cycles broken by wakings. Active sleep is drawn as REM,
+        // quiet sleep as N3 (or N2/N3 once it differentiates).
+        const { age, ageMonths, seed = 1 } = config;
+        const months = Number.isFinite(ageMonths) && Math.floor(ageMonths / 12) === Math.floor(age) ? ageMonths : age * 12;
+        const profile = ScientificConstants.getInfantProfile(months);
+        const rng = new SeededRandom(seed, 'infant');
+        const arousalRng = new SeededRandom(seed, 'arousal');
+
+        // Clock hours -> axis minutes (0 = 18:00). Bedtime is this evening,
+        // the wake-up that started the day is this morning.
+        const bedtime = Math.round((profile.bedtime - 18) * 60);
+        const priorWake = Math.round((profile.wakeUp - 18) * 60);
+        const startTimeOffset = bedtime - 240;
+
+        // Cycles of `length` sleep minutes starting at `start`
+        const cycles = (blocks, start, sleepMins, cycleIndex0 = 0) => {
+            let t = start;
+            let slept = 0;
+            let i = cycleIndex0;
+            const push = (stage, mins) => {
+                if (mins <= 1e-6) return;
+                blocks.push({ stage, duration: mins, start: t });
+                t += mins;
+                slept += mins;
+            };
+            while (sleepMins - slept > 1e-6) {
+                const len = Math.min(profile.cycleLength, sleepMins - slept);
+                // Quiet sleep is deepest early in the night once N3 has emerged
+                const n3Share = Math.min(1, profile.quietN3 * (profile.quietN3 < 1 ? Math.max(0.6, 1.3 - i * 0.1) : 1));
+                const trans = Math.min(len, 2); // Indeterminate / transitional sleep
+                const active = (len - trans) * profile.activeP;
+                const quiet = len - trans - active;
+                if (profile.activeOnset) {
+                    push(STAGES.N1, trans);
+                    push(STAGES.REM, active);
+                    push(STAGES.N3, quiet * n3Share);
+                    push(STAGES.N2, quiet * (1 - n3Share));
+                } else {
+                    push(STAGES.N1, trans);
+                    push(STAGES.N2, quiet * (1 - n3Share) * 0.5);
+                    push(STAGES.N3, quiet * n3Share);
+                    push(STAGES.N2, quiet * (1 - n3Share) * 0.5);
+                    push(STAGES.REM, active);
+                }
+                i++;
+            }
+            return { end: t, slept, cycleCount: i - cycleIndex0 };
+        };
+
+        // Naps: evenly spaced wake windows between wake-up and bedtime
+        const napResults = [];
+        const window = (bedtime - priorWake - profile.daySleep) / (profile.naps + 1);
+        let t = priorWake;
+        for (let n = 0; n < profile.naps; n++) {
+            t += window * (0.85 + rng.next() * 0.3);
+            const length = (profile.daySleep / profile.naps) * (0.85 + rng.next() * 0.3);
+            const napBlocks = [];
+            const settle = 5 + rng.next() * 10;
+            napBlocks.push({ stage: STAGES.WAKE, duration: settle, start: t });
+            const { end } = cycles(napBlocks, t + settle, length);
+            napResults.push({
+                blocks: napBlocks,
+                tst: length,
+                n3: napBlocks.reduce((sum, b) => (b.stage === STAGES.N3 ? sum + b.duration : sum), 0),
+                episode: { start: t + settle, end }
+            });
+            t = end;
+        }
+        const napMins = napResults.reduce((sum, r) => sum + r.tst, 0);
+
+        // Night: cycles with wakings (feeds) between some of them
+        const blocks = [];
+        const latency = profile.latency;
+        blocks.push({ stage: STAGES.WAKE, duration: latency, start: 0 });
+        const estCycles = Math.max(1, Math.ceil(profile.nightSleep / profile.cycleLength));
+        const wakings = Math.min(estCycles - 1, Math.floor(profile.nightWakings) + (rng.next() < profile.nightWakings % 1 ? 1 : 0));
+        const wakeAfter = new Set();
+        for (let k = 1; k <= wakings; k++) {
+            // Spread over the night with some jitter
+            wakeAfter.add(Math.max(0, Math.min(estCycles - 2, Math.round((k * estCycles) / (wakings + 1) - 1 + (rng.next() - 0.5)))));
+        }
+        let cursor = latency;
+        let slept = 0;
+        let wasoMins = 0;
+        const cycleLengths = []; // Night cycles; the last one may be cut short
+        for (let c = 0; profile.nightSleep - slept > 1e-6; c++) {
+            const res = cycles(blocks, cursor, Math.min(profile.cycleLength, profile.nightSleep - slept), c);
+            cursor = res.end;
+            slept += res.slept;
+            cycleLengths.push(res.slept);
+            if (wakeAfter.has(c) && profile.nightSleep - slept > 1e-6) {
+                const mins = profile.wakingMins * (0.7 + rng.next() * 0.6);
+                blocks.push({ stage: STAGES.WAKE, duration: mins, start: cursor });
+                cursor += mins;
+                wasoMins += mins;
+            }
+        }
+        const tib = cursor;
+
+        // Brief arousals between cycles
+        const wakeEvents = [];
+        for (let i = 0; i < 5; i++) wakeEvents.push({ time: latency + arousalRng.next() * (tib - latency), duration: 1 });
+
+        const stageMins = [0, 0, 0, 0, 0];
+        blocks.forEach(b => { stageMins[b.stage] += b.duration; });
+        const tst = tib - stageMins[STAGES.WAKE];
+        const firstREM = blocks.find(b => b.stage === STAGES.REM);
+        const remLatency = firstREM ? firstREM.start - latency : null;
+        const completeCycles = cycleLengths.filter(len => len >= profile.cycleLength - 1e-6);
+        const meanCycleLength = completeCycles.length
+            ? completeCycles.reduce((sum, len) => sum + len, 0) / completeCycles.length
+            : null;
+
+        // Two-Process overlay with infant time constants
+        const twoProcess = {
+            ...TwoProcessModel.getParameters({ phaseShift: startTimeOffset, sleepNeed: profile.nightSleep }),
+            tau_r: profile.tau_r
+        };
+        twoProcess.amplitude *= profile.circadianAmplitude;
+        const S0 = TwoProcessModel.thresholds(priorWake, twoProcess).lower;
+
+        const toAxis = (time) => time + bedtime;
+        const caffeinePK = CaffeineModel.getParameters({});
+        return {
+            blocks: blocks.map(b => ({ ...b, start: toAxis(b.start) })),
+            wakeEvents: wakeEvents.map(w => ({ ...w, time: toAxis(w.time) })),
+            params: {
+                chronotype: 'normal', startTimeOffset, tst, tib, circadianShift: 0,
+                jetLag: ScientificConstants.getJetLagProfile('none'),
+                alarm: null, alarmRang: false,
+                caffeine: { intakes: [], pk: caffeinePK },
+                alcohol: { drinks: [], pk: AlcoholModel.getParameters({}) },
+                apnea: null, plm: null, phaseDisorderShift: 0,
+                medications: { doses: [], effects: MedicationModel.nightEffects([], bedtime) },
+                shift: null,
+                infant: profile,
+                twoProcess: {
+                    model: twoProcess, priorWake, S0, bedtime, sleepOnset: bedtime + latency,
+                    predictedOnset: bedtime + latency, spontaneousWake: bedtime + tib,
+                    naps: napResults.map(r => r.episode)
+                }
+            },
+            naps: napResults.map(r => ({ blocks: r.blocks, tst: r.tst, n3: r.n3 })),
+            stats: {
+                n3P: stageMins[STAGES.N3] / tst, remP: stageMins[STAGES.REM] / tst,
+                n1P: stageMins[STAGES.N1] / tst, n2P: stageMins[STAGES.N2] / tst,
+                wasoMins, tst, tib, sleepEfficiency: (tst / tib) * 100, latency,
+                sleepNeed: profile.totalSleep, sleepDebt: 0, misalignment: 0, napMins,
+                alarmCut: { sleep: 0, rem: 0 }, caffeineAtBed: 0, bacAtBed: 0, peakBAC: 0,
+                ahi: 0, odi: 0, t90: 0, spo2Nadir: ApneaModel.getParameters({ age }).baseline,
+                residualSedation: 0, remLatency, soremp: false, plmIndex: 0, plmArousalIndex: 0,
+                cycles: completeCycles.length, meanCycleLength, skippedFirstREM: false,
+                nightWakings: wakeAfter.size, naps: napResults.length
+            }
+        };
+    }
+
+    generateSeries(config) {
+        // Consecutive nights. Lifestyle modifiers apply for the first
+        // `exposureNights` only; sleep debt and body-clock phase carry over.
+        const nights = Math.max(1, config.nights || 1);
+        const exposureNights = Math.min(nights, config.exposureNights ?? nights);
+        const need = ScientificConstants.getAgeProfile(config.age).tst;
+
+        let travelShift = ScientificConstants.getJetLagProfile(config.jetLag).circadianShift;
+        let socialShift = 0; // Phase delay built up by late (social jet lag) nights
+        let sleepDebt = config.sleepDebt || 0;
+        const results = [];
+
+        for (let i = 0; i < nights; i++) {
+            const exposed = i < exposureNights;
+            const nightConfig = {
+                ...config,
+                caffeine: exposed ? config.caffeine : 0,
+                caffeineIntakes: exposed ? config.caffeineIntakes : [],
+                alcohol: exposed ? config.alcohol : 0,
+                alcoholDrinks: exposed ? config.alcoholDrinks : [],
+                blueLight: exposed && config.blueLight,
+                socialJetLag: exposed && config.socialJetLag,
+                // While still going to bed late the clock is aligned with bedtime;
+                // the lag only bites once bedtime returns to normal.
+                circadianShift: travelShift + (exposed && config.socialJetLag ? 0 : socialShift),
+                sleepDebt,
+                shiftDay: i, // Rotating rosters move on every night
+                seed: (config.seed ?? 1) + i // Every night differs, reproducibly
+            };
+            const result = this.generate(nightConfig);
+            result.night = i + 1;
+            results.push(result);
+
+            // Carry-over to the next night
+            sleepDebt = Math.max(0, sleepDebt + result.stats.sleepNeed - result.stats.tst - result.stats.napMins);
+
+            const travelRate = ScientificConstants.getReentrainmentRate(travelShift > 0 ? 'east' : 'west');
+            travelShift = Math.sign(travelShift) * Math.max(0, Math.abs(travelShift) - travelRate);
+
+            if (nightConfig.socialJetLag) socialShift = Math.min(180, socialShift + 60);
+            else socialShift = Math.max(0, socialShift - ScientificConstants.getReentrainmentRate('east'));
+        }
+
+        return { nights: results, need, exposureNights };
+    }
+}
+
+class TwoProcessModel {
+    // Borbély (1982) two-process model in the threshold form of Daan, Beersma &
+    // Borbély (1984). Time t is in minutes on the hypnogram axis (0 = 18:00).
+    // S rises while awake and decays while asleep; sleep starts when S reaches
+    // the upper threshold and ends when it falls to the lower one. Both
+    // thresholds are modulated by the circadian process C.
+
+    static getParameters(options = {}) {
+        const {
+            phaseShift = 0, blueLight = false, circadianShift = 0, sleepNeed = 480,
+            upperThreshold = 0.66, lowerThreshold = 0.12
+        } = options;
+
+        const tau_r = 18.2 * 60; // Rise time constant (wake)
+        // Decay time constant (sleep), scaled so the spontaneous wake-up of an
+        // aligned sleeper covers the age-typical sleep need (infants to elderly).
+        const tau_d = 4.2 * 60 * Math.pow(sleepNeed / 480, 2);
+
+        // Peak of circadian sleep propensity (01:00 for a normal adult)
+        let peakTime = 240 + 180 + phaseShift;
+        if (blueLight) peakTime += 60; // Evening light delays melatonin onset
+        peakTime += circadianShift; // Jet lag: body clock vs local clock
+
+        return {
+            tau_r, tau_d, peakTime,
+            upperThreshold, lowerThreshold,
+            amplitude: 0.12, // Circadian modulation of both thresholds
+            harmonics: [0.97, 0.22, 0.07, 0.03, 0.001] // Skewed C (Daan et al., 1984)
+        };
+    }
+
+    static circadian(t, model) {
+        // Sum of harmonics -> fast evening rise, slow daytime decline.
+        // Normalized to [-1, 1] with the maximum at model.peakTime.
+        const raw = (theta) => model.harmonics.reduce((sum, a, k) => sum + a * Math.sin((k + 1) * theta), 0);
+
+        const key = model.harmonics.join(',');
+        if (TwoProcessModel._harmonicPeak?.key !== key) {
+            let max = -Infinity, thetaMax = 0;
+            for (let i = 0; i < 1440; i++) {
+                const theta = (i / 1440) * 2 * Math.PI;
+                const v = raw(theta);
+                if (v > max) { max = v; thetaMax = theta; }
+            }
+            TwoProcessModel._harmonicPeak = { key, max, thetaMax };
+        }
+        const { max, thetaMax } = TwoProcessModel._harmonicPeak;
+        return raw(((t - model.peakTime) / 1440) * 2 * Math.PI + thetaMax) / max;
+    }
+
+    static thresholds(t, model) {
+        // High circadian sleep propensity lowers both thresholds
+        const c = TwoProcessModel.circadian(t, model);
+        return {
+            upper: model.upperThreshold - model.amplitude * c,
+            lower: model.lowerThreshold - model.amplitude * c
         };
     }
+
+    static resolveWakeTime(wakeTime, bedtime) {
+        // Clock hour of the previous wake-up -> axis minutes before bedtime.
+        // 'auto' = 15h awake, the typical day of a sleeper on their own schedule.
+        if (wakeTime === undefined || wakeTime === null || wakeTime === 'auto') return bedtime - 900;
+        let t = (Number(wakeTime) - 18) * 60;
+        while (t > bedtime - 120) t -= 1440;
+        while (t < bedtime - 1440) t += 1440;
+        return t;
+    }
+
+    static pressure(model, priorWake, S0, episodes, t) {
+        // S at time t: rises from the wake-up at priorWake, decays through
+        // each sleep episode ({start, end}, in order) that began before t
+        let S = S0;
+        let cursor = priorWake;
+        for (const ep of episodes) {
+            if (t < ep.start) break;
+            S = 1 - (1 - S) * Math.exp(-(ep.start - cursor) / model.tau_r);
+            if (t < ep.end) return S * Math.exp(-(t - ep.start) / model.tau_d);
+            S *= Math.exp(-(ep.end - ep.start) / model.tau_d);
+            cursor = ep.end;
+        }
+        return 1 - (1 - S) * Math.exp(-Math.max(0, t - cursor) / model.tau_r);
+    }
+
+    static predictSleepOnset(model, priorWake, S0, earliest) {
+        // First minute at/after `earliest` (bedtime) where rising S meets the upper threshold
+        let S = S0;
+        for (let t = priorWake; t < priorWake + 1440; t++) {
+            if (t >= earliest && S >= TwoProcessModel.thresholds(t, model).upper) return { time: t, S };
+            S = 1 - (1 - S) * Math.exp(-1 / model.tau_r);
+        }
+        return { time: priorWake + 1440, S };
+    }
+
+    static predictWake(model, onset, S_onset) {
+        // First minute after onset where decaying S meets the lower threshold
+        let S = S_onset;
+        for (let t = onset; t < onset + 1440; t++) {
+            if (S <= TwoProcessModel.thresholds(t, model).lower) return { time: t, S };
+            S *= Math.exp(-1 / model.tau_d);
+        }
+        return { time: onset + 1440, S };
+    }
+
+    static simulate(model, options) {
+        // Process S, C and thresholds sampled over [from, to]
+        const { priorWake, S0, sleepStart, sleepEnd, from, to, step = 5, naps = [], caffeine = null } = options;
+
+        const episodes = [...naps, { start: sleepStart, end: sleepEnd }];
+
+        const series = [];
+        for (let t = Math.floor(from); t <= Math.ceil(to); t += step) {
+            const S = TwoProcessModel.pressure(model, priorWake, S0, episodes, t);
+
+            // Caffeine masks adenosine (perceived pressure), not S itself:
+            // 0.1 per cup's worth in plasma
+            let caffeineBlock = 0;
+            if (caffeine && caffeine.intakes.length) {
+                caffeineBlock = 0.1 * CaffeineModel.concentration(caffeine.intakes, t, caffeine.pk) / CaffeineModel.cupConcentration(caffeine.pk);
+            }
+
+            const { upper, lower } = TwoProcessModel.thresholds(t, model);
+            series.push({ t, S, effectiveS: Math.max(0, S - caffeineBlock), C: TwoProcessModel.circadian(t, model), upper, lower });
+        }
+        return series;
+    }
+}
+
+class CaffeineModel {
+    // One-compartment pharmacokinetics with first-order absorption and
+    // elimination (Bateman function). Plasma peaks 30-60 min after a dose.
+    // Time is in minutes on the hypnogram axis, concentrations in mg/L.
+
+    static getParameters(options = {}) {
+        const { metabolism = 'normal', pregnant = false, oralContraceptives = false, smoker = false, weight = 70 } = options;
+
+        let halfLife = 6; // Hours
+        if (metabolism === 'fast') halfLife = 4;
+        if (metabolism === 'slow') halfLife = 8;
+        if (pregnant) halfLife *= 2.5; // Third trimester (Knutti et al., 1981)
+        if (oralContraceptives) halfLife *= 1.7; // CYP1A2 inhibition (Abernethy & Todd, 1985)
+        if (smoker) halfLife *= 0.6; // CYP1A2 induction (Parsons & Neims, 1978)
+
+        return {
+            halfLife,
+            ka: 4 / 60, // Absorption rate (per minute)
+            ke: Math.LN2 / (halfLife * 60), // Elimination rate (per minute)
+            volume: 0.6 * weight // Distribution volume (L)
+        };
+    }
+
+    static placeIntakes(intakes, bedtime) {
+        // Clock-hour intakes -> axis minutes on the day leading into this
+        // sleep: from 20 h before lights-out to 4 h after it
+        return (intakes || []).map(intake => {
+            let t = (intake.time - 18) * 60;
+            while (t < bedtime - 1200) t += 1440;
+            while (t >= bedtime + 240) t -= 1440;
+            return { t, mg: intake.mg, source: intake.source || 'custom' };
+        }).sort((a, b) => a.t - b.t);
+    }
+
+    static concentration(intakes, t, pk) {
+        const { ka, ke, volume } = pk;
+        return intakes.reduce((sum, intake) => {
+            const dt = t - intake.t;
+            if (dt <= 0) return sum;
+            return sum + (intake.mg / volume) * (ka / (ka - ke)) * (Math.exp(-ke * dt) - Math.exp(-ka * dt));
+        }, 0);
+    }
+
+    static meanConcentration(intakes, from, to, pk) {
+        if (!intakes.length) return 0;
+        let sum = 0;
+        let n = 0;
+        for (let t = from; t <= to; t += 5) {
+            sum += CaffeineModel.concentration(intakes, t, pk);
+            n++;
+        }
+        return sum / n;
+    }
+
+    static cupConcentration(pk) {
+        // One filter coffee, fully absorbed
+        return CAFFEINE_SOURCES.coffee.mg / pk.volume;
+    }
+}
+
+class AlcoholModel {
+    // Widmark (1932) distribution over body water, first-order absorption
+    // from the gut and zero-order elimination. BAC in % (g/dL), time in
+    // minutes on the hypnogram axis. One standard drink = 14 g of ethanol.
+
+    static getParameters(options = {}) {
+        const { gender = 'male', weight = 70 } = options;
+        return {
+            r: gender === 'female' ? 0.55 : 0.68, // Widmark factor (body water share)
+            weight, // kg
+            beta: 0.015 / 60, // Elimination (% per minute)
+            ka: Math.LN2 / 15 // Absorption (per minute): BAC peaks 30-90 min after a drink
+        };
+    }
+
+    static placeDrinks(drinks, bedtime) {
+        // Clock-hour drinks -> axis minutes, same day window as caffeine
+        return (drinks || []).map(d => {
+            let t = (d.time - 18) * 60;
+            while (t < bedtime - 1200) t += 1440;
+            while (t >= bedtime + 240) t -= 1440;
+            return { t, drinks: d.drinks };
+        }).sort((a, b) => a.t - b.t);
+    }
+
+    static curve(drinks, from, to, pk, step = 5) {
+        // BAC sampled every `step` minutes over [from, to]; integrated per minute
+        const points = [];
+        const toBAC = 100 / (pk.r * pk.weight * 1000); // grams in the body -> %
+        let gut = 0;
+        let bac = 0;
+        let next = 0;
+        const start = drinks.length ? Math.min(Math.floor(from), drinks[0].t) : Math.floor(from);
+        for (let m = start; m <= to; m++) {
+            while (next < drinks.length && drinks[next].t <= m) gut += drinks[next++].drinks * 14;
+            if (m >= from && (m - Math.floor(from)) % step === 0) points.push({ t: m, bac });
+            const absorbed = gut * (1 - Math.exp(-pk.ka));
+            gut -= absorbed;
+            bac = Math.max(0, bac + absorbed * toBAC - pk.beta);
+        }
+        return points;
+    }
+
+    static bac(drinks, t, pk) {
+        if (!drinks.length || t <= drinks[0].t) return 0;
+        return AlcoholModel.curve(drinks, Math.floor(t), Math.floor(t), pk)[0].bac;
+    }
+}
+
+class ApneaModel {
+    // Obstructive sleep apnea at event level. Apneas (airflow ~stopped) and
+    // hypopneas (airflow reduced) come more often in REM, when muscle tone
+    // is lowest, and when lying on the back; each ends in a brief arousal and
+    // is followed by an oxygen desaturation. Times in minutes from lights-out.
+
+    static getParameters(options = {}) {
+        const { ahi = 0, cpap = false, age = 25, weight = 70 } = options;
+        return {
+            untreatedAhi: ahi,
+            ahi: cpap ? Math.min(ahi, 3) : ahi, // CPAP: residual events only
+            cpap,
+            // Awake-at-rest saturation drifts down with age and obesity
+            baseline: 97 - Math.max(0, age - 30) * 0.04 - Math.max(0, weight - 80) * 0.03,
+            // Less lung reserve -> deeper dips for the same event
+            depthFactor: Math.min(1.3, Math.max(0.8, weight / 80))
+        };
+    }
+
+    static positions(tib, rng) {
+        // Body position timeline: a turn every 30-120 min, supine ~45% of the time
+        const out = [];
+        let t = 0;
+        let supine = rng.next() < 0.5;
+        while (t < tib) {
+            const end = Math.min(tib, t + 30 + rng.next() * 90);
+            out.push({ start: t, end, supine });
+            t = end;
+            supine = rng.next() < 0.45;
+        }
+        return out;
+    }
+
+    static events(blocks, positions, pk, rng) {
+        if (pk.ahi <= 0) return [];
+        const stageWeight = { [STAGES.REM]: 2, [STAGES.N1]: 1.2, [STAGES.N2]: 1, [STAGES.N3]: 0.3 };
+        const isSupine = (t) => (positions.find(p => t < p.end) || positions[positions.length - 1]).supine;
+        const weight = (stage, t) => stageWeight[stage] * (isSupine(t) ? 2 : 0.6);
+
+        // Per-step weights over sleep, then scale so the mean (capped) rate
+        // over all sleep is the target AHI. At least ~40 s per breathing
+        // cycle caps the densest runs.
+        const step = 0.25;
+        const maxRate = 1.5;
+        const samples = [];
+        blocks.forEach(b => {
+            if (b.stage === STAGES.WAKE) return;
+            for (let t = b.start; t < b.start + b.duration; t += step) {
+                samples.push({ t, b, dt: Math.min(step, b.start + b.duration - t), w: weight(b.stage, t) });
+            }
+        });
+        const sleep = samples.reduce((sum, x) => sum + x.dt, 0);
+        if (!sleep) return [];
+        const target = pk.ahi / 60;
+        let scale = target;
+        for (let i = 0; i < 5; i++) {
+            const mean = samples.reduce((sum, x) => sum + Math.min(maxRate, scale * x.w) * x.dt, 0) / sleep;
+            scale *= target / mean;
+        }
+
+        // Integrate the rate; an event fires each time it crosses a jittered threshold
+        const events = [];
+        let acc = 0;
+        let threshold = 0.5 + rng.next();
+        let busyUntil = -Infinity;
+        samples.forEach(({ t, b, dt, w }) => {
+            const rate = Math.min(maxRate, scale * w);
+            acc += rate * dt;
+            if (acc < threshold || t < busyUntil) return;
+            acc -= threshold;
+            threshold = 0.5 + rng.next();
+
+            const type = rng.next() < 0.35 ? 'apnea' : 'hypopnea';
+            const duration = Math.min((10 + rng.next() * 30) / 60, 0.6 / rate);
+            const supine = isSupine(t);
+            const base = type === 'apnea' ? 4 + rng.next() * 4 : 1.5 + rng.next() * 3;
+            const desat = base * pk.depthFactor * (b.stage === STAGES.REM ? 1.25 : 1) * (supine ? 1.1 : 1);
+            events.push({ start: t, duration, type, stage: b.stage, supine, desat });
+            busyUntil = t + duration + 0.25;
+        });
+        return events;
+    }
+
+    static spo2(events, from, to, pk, step = 0.25) {
+        // Desaturation lags the event by ~20 s (circulation time), bottoms out
+        // just after it ends and recovers over ~20 s. Overlapping dips add up.
+        const lag = 0.33;
+        const recovery = 0.33;
+        const trace = [];
+        let first = 0;
+        for (let t = from; t <= to; t += step) {
+            while (first < events.length && events[first].start + events[first].duration + lag + recovery < t) first++;
+            let drop = 0;
+            for (let i = first; i < events.length && events[i].start + lag <= t; i++) {
+                const e = events[i];
+                const fallStart = e.start + lag;
+                const nadirAt = e.start + e.duration + lag;
+                if (t <= nadirAt) drop += e.desat * (t - fallStart) / (nadirAt - fallStart);
+                else if (t < nadirAt + recovery) drop += e.desat * (1 - (t - nadirAt) / recovery);
+            }
+            trace.push({ t, spo2: Math.max(60, pk.baseline - drop) });
+        }
+        return trace;
+    }
+
+    static summarize(events, trace, blocks, pk) {
+        // AHI and ODI (>= 3% dips) per hour of sleep; T90 = % of sleep below 90%
+        const sleepMins = blocks.reduce((sum, b) => (b.stage !== STAGES.WAKE ? sum + b.duration : sum), 0);
+        const hours = sleepMins / 60;
+        if (!events.length || !hours) return { ahi: 0, odi: 0, t90: 0, spo2Nadir: pk.baseline };
+
+        let below = 0;
+        let asleep = 0;
+        let b = 0;
+        trace.forEach(p => {
+            while (b < blocks.length - 1 && p.t >= blocks[b].start + blocks[b].duration) b++;
+            if (blocks[b].stage === STAGES.WAKE) return;
+            asleep++;
+            if (p.spo2 < 90) below++;
+        });
+        return {
+            ahi: events.length / hours,
+            odi: events.filter(e => e.desat >= 3).length / hours,
+            t90: asleep ? (below / asleep) * 100 : 0,
+            spo2Nadir: Math.min(...trace.map(p => p.spo2))
+        };
+    }
+}
+
+class PlmModel {
+    // Periodic limb movements in sleep (AASM): 0.5-10 s leg movements in
+    // trains of 4 or more, 5-90 s apart. Mostly in light NREM early in the
+    // night, rare in REM. About a third end in an arousal. Minutes from lights-out.
+
+    static events(blocks, plmIndex, rng) {
+        if (plmIndex <= 0) return [];
+        const stageWeight = { [STAGES.REM]: 0.1, [STAGES.N1]: 1, [STAGES.N2]: 1, [STAGES.N3]: 0.4 };
+        const sleepBlocks = blocks.filter(b => b.stage !== STAGES.WAKE && b.duration > 0);
+        if (!sleepBlocks.length) return [];
+        const tst = sleepBlocks.reduce((sum, b) => sum + b.duration, 0);
+        const onset = sleepBlocks[0].start;
+        const end = sleepBlocks[sleepBlocks.length - 1].start + sleepBlocks[sleepBlocks.length - 1].duration;
+        // Early-night predominance: weight falls to a third by the end
+        const weight = (b, t) => stageWeight[b.stage] * (1 - 0.67 * (t - onset) / Math.max(1, end - onset));
+        const stageAt = (t) => sleepBlocks.find(b => t >= b.start && t < b.start + b.duration) || null;
+
+        // Train starts by rejection sampling over sleep time
+        const meanTrain = 12;
+        const trains = Math.round((plmIndex * tst / 60) / meanTrain);
+        const events = [];
+        for (let i = 0, tries = 0; i < trains && tries < trains * 50; tries++) {
+            let t = onset + rng.next() * (end - onset);
+            const b = stageAt(t);
+            if (!b || rng.next() > weight(b, t)) continue;
+            i++;
+            const length = 4 + Math.floor(rng.next() * (2 * meanTrain - 7));
+            const interval = (20 + rng.next() * 20) / 60;
+            for (let k = 0; k < length; k++, t += interval) {
+                const at = stageAt(t);
+                if (!at) break; // A train ends at an awakening
+                events.push({ start: t, duration: (0.5 + rng.next() * 4.5) / 60, stage: at.stage, arousal: rng.next() < 0.33 });
+            }
+        }
+        return events.sort((a, b) => a.start - b.start);
+    }
+
+    static summarize(events, tst) {
+        const hours = tst / 60;
+        if (!events.length || !hours) return { plmIndex: 0, plmArousalIndex: 0 };
+        return {
+            plmIndex: events.length / hours,
+            plmArousalIndex: events.filter(e => e.arousal).length / hours
+        };
+    }
+}
+
+class MedicationModel {
+    // One-compartment kinetics with first-order absorption (Bateman). Levels
+    // are relative to the peak of the drug's typical dose; daily (chronic)
+    // drugs sit at steady state. Time in minutes on the hypnogram axis.
+
+    static getParameters(med) {
+        const ke = Math.LN2 / (med.halfLife * 60);
+        // Absorption rate that puts the peak at tmax: tmax = ln(ka/ke) / (ka - ke)
+        const tmax = med.tmax * 60;
+        let lo = ke * 1.0001;
+        let hi = 10;
+        for (let i = 0; i < 60; i++) {
+            const ka = (lo + hi) / 2;
+            if (Math.log(ka / ke) / (ka - ke) > tmax) lo = ka; else hi = ka;
+        }
+        const ka = (lo + hi) / 2;
+        const bateman = (dt) => (ka / (ka - ke)) * (Math.exp(-ke * dt) - Math.exp(-ka * dt));
+        return { ka, ke, bateman, peak: bateman(tmax) };
+    }
+
+    static placeDoses(medications, bedtime, gender = 'male') {
+        // Clock-hour doses -> axis minutes, same day window as caffeine
+        return (medications || []).filter(m => MEDICATIONS[m.drug]).map(m => {
+            const med = MEDICATIONS[m.drug];
+            let t = (m.time - 18) * 60;
+            while (t < bedtime - 1200) t += 1440;
+            while (t >= bedtime + 240) t -= 1440;
+            const exposure = gender === 'female' && med.femaleExposure ? med.femaleExposure : 1;
+            return { drug: m.drug, t, dose: m.dose, scale: (m.dose / med.dose) * exposure };
+        }).sort((a, b) => a.t - b.t);
+    }
+
+    static level(dose, t) {
+        const med = MEDICATIONS[dose.drug];
+        if (med.chronic) return dose.scale;
+        const dt = t - dose.t;
+        if (dt <= 0) return 0;
+        const pk = MedicationModel.getParameters(med);
+        return dose.scale * pk.bateman(dt) / pk.peak;
+    }
+
+    static nightEffects(doses, bedtime) {
+        // Summed effect of every dose at its mean level over lights-out + 4 h.
+        // Above twice the typical dose the effect no longer grows.
+        const total = { latency: 0, n1: 0, n3: 0, rem: 0, remLatency: 0, waso: 0 };
+        doses.forEach(dose => {
+            let sum = 0;
+            let n = 0;
+            for (let t = bedtime; t <= bedtime + 240; t += 10) {
+                sum += MedicationModel.level(dose, t);
+                n++;
+            }
+            const load = Math.min(2, sum / n);
+            Object.entries(MEDICATIONS[dose.drug].effects).forEach(([key, eff]) => { total[key] += eff * load; });
+        });
+        return total;
+    }
+
+    static residual(doses, t) {
+        // Sedative level left at wake-up (1 = a typical hypnotic dose at its peak)
+        return doses.reduce((sum, dose) => sum + MedicationModel.level(dose, t) * MEDICATIONS[dose.drug].sedation, 0);
+    }
+}
+
+// Node / CommonJS (and ES module `import` via Node's CJS interop)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { STAGES, CAFFEINE_SOURCES, MEDICATIONS, SeededRandom, ScientificConstants, HypnogramGenerator, TwoProcessModel, CaffeineModel, AlcoholModel, ApneaModel, MedicationModel, PlmModel };
 }
@@ -0,0 +1,275 @@
+/**
+ * Sleep Age Simulator - Epoch Scoring
+ * Resamples simulated (continuous-time) blocks into standard 30-second
+ * epochs and writes them as CSV, EDF+ annotations or JSON, so simulated
+ * nights load into the same tools as real PSG scorings. Also reads scored
+ * nights (CSV / EDF+) back in and computes the same metrics for both.
+ *
+ * Same loading rules as models.js (plain script / require / import).
+ */
+
+const EPOCH_SECONDS = 30;
+
+// AASM labels, indexed by STAGES code
+const EPOCH_LABELS = ['W', 'R', 'N1', 'N2', 'N3'];
+
+// Accepted stage spellings on import (AASM, R&K and numeric codes; R&K S3+S4 -> N3)
+const IMPORT_STAGE_CODES = {
+    'w': 0, 'wake': 0, '0': 0,
+    'r': 1, 'rem': 1, '5': 1,
+    'n1': 2, 's1': 2, '1': 2,
+    'n2': 3, 's2': 3, '2': 3,
+    'n3': 4, 's3': 4, 's4': 4, '3': 4, '4': 4, 'n4': 4
+};
+
+class EpochScoring {
+    static toEpochs(result) {
+        // Each epoch takes the stage covering most of its 30 s (majority rule)
+        const blocks = result.blocks;
+        const start = blocks[0].start;
+        const end = blocks[blocks.length - 1].start + blocks[blocks.length - 1].duration;
+        const epochMins = EPOCH_SECONDS / 60;
+        const count = Math.floor((end - start) / epochMins + 1e-9);
+
+        const epochs = [];
+        let b = 0;
+        for (let i = 0; i < count; i++) {
+            const eStart = start + i * epochMins;
+            const eEnd = eStart + epochMins;
+            const overlap = [0, 0, 0, 0, 0];
+
+            while (b < blocks.length && blocks[b].start + blocks[b].duration <= eStart) b++;
+            for (let k = b; k < blocks.length && blocks[k].start < eEnd; k++) {
+                const o = Math.min(eEnd, blocks[k].start + blocks[k].duration) - Math.max(eStart, blocks[k].start);
+                if (o > 0) overlap[blocks[k].stage] += o;
+            }
+
+            let stage = 0;
+            overlap.forEach((o, s) => { if (o > overlap[stage]) stage = s; });
+            epochs.push({ index: i, start: eStart, stage });
+        }
+        return epochs;
+    }
+
+    static clockTime(t) {
+        // Axis minutes (0 = 18:00) -> "hh:mm:ss"
+        const secs = Math.round(((18 * 60 + t) % 1440 + 1440) % 1440 * 60);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${pad(Math.floor(secs / 3600) % 24)}:${pad(Math.floor(secs / 60) % 60)}:${pad(secs % 60)}`;
+    }
+
+    static toCSV(result) {
+        const epochs = EpochScoring.toEpochs(result);
+        const lines = ['epoch,onset_sec,clock_time,stage'];
+        epochs.forEach(e => {
+            lines.push(`${e.index + 1},${e.index * EPOCH_SECONDS},${EpochScoring.clockTime(e.start)},${EPOCH_LABELS[e.stage]}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    static toJSON(result, meta = {}) {
+        const epochs = EpochScoring.toEpochs(result);
+        return JSON.stringify({
+            format: 'sleep-age-simulator/epochs',
+            version: 1,
+            epochSeconds: EPOCH_SECONDS,
+            stageLabels: EPOCH_LABELS,
+            startClock: EpochScoring.clockTime(epochs.length ? epochs[0].start : 0),
+            meta,
+            // Metrics of the epochs in this file, as an importer would score them
+            stats: EpochScoring.statsFromEpochs(epochs.map(e => e.stage)),
+            epochs: epochs.map(e => EPOCH_LABELS[e.stage])
+        }, null, 2);
+    }
+
+    static toEDF(result, options = {}) {
+        // EDF+C file with a single "EDF Annotations" signal holding one
+        // "Sleep stage X" annotation per run of identical epochs.
+        const { date = new Date(2000, 0, 1), sex = 'X', patient = 'Simulated' } = options;
+        const epochs = EpochScoring.toEpochs(result);
+        const totalSecs = Math.max(1, epochs.length * EPOCH_SECONDS);
+
+        // Time-keeping TAL first, then one TAL per stage run
+        let tal = '+0\x14\x14\x00';
+        for (let i = 0; i < epochs.length;) {
+            let j = i;
+            while (j < epochs.length && epochs[j].stage === epochs[i].stage) j++;
+            tal += `+${i * EPOCH_SECONDS}\x15${(j - i) * EPOCH_SECONDS}\x14Sleep stage ${EPOCH_LABELS[epochs[i].stage]}\x14\x00`;
+            i = j;
+        }
+        const samples = Math.ceil(tal.length / 2);
+
+        const pad2 = (n) => String(n).padStart(2, '0');
+        const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+        const clock = EpochScoring.clockTime(epochs.length ? epochs[0].start : 0).replace(/:/g, '.');
+        const field = (value, length) => String(value).slice(0, length).padEnd(length, ' ');
+
+        const header =
+            field('0', 8) +
+            field(`X ${sex} X ${patient.replace(/\s+/g, '_')}`, 80) +
+            field(`Startdate ${pad2(date.getDate())}-${months[date.getMonth()]}-${date.getFullYear()} X X Sleep_Age_Simulator`, 80) +
+            field(`${pad2(date.getDate())}.${pad2(date.getMonth() + 1)}.${pad2(date.getFullYear() % 100)}`, 8) +
+            field(clock, 8) +
+            field(512, 8) + // 256 + 256 * signals
+            field('EDF+C', 44) +
+            field(1, 8) + // Data records
+            field(totalSecs, 8) + // Record duration (s)
+            field(1, 4) + // Signals
+            field('EDF Annotations', 16) +
+            field('', 80) + // Transducer
+            field('', 8) + // Physical dimension
+            field(-1, 8) + field(1, 8) + // Physical min/max
+            field(-32768, 8) + field(32767, 8) + // Digital min/max
+            field('', 80) + // Prefiltering
+            field(samples, 8) +
+            field('', 32);
+
+        const bytes = new Uint8Array(header.length + samples * 2);
+        for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i);
+        for (let i = 0; i < tal.length; i++) bytes[header.length + i] = tal.charCodeAt(i);
+        return bytes;
+    }
+
+    // --- IMPORT ---
+
+    static parseStage(label) {
+        // Unscored / movement / unknown epochs count as wake
+        const key = String(label).trim().toLowerCase().replace(/^sleep stage\s*/, '').replace(/^stage\s*/, '');
+        return IMPORT_STAGE_CODES[key] ?? 0;
+    }
+
+    static parseClock(text) {
+        // "hh:mm[:ss]" or "hh.mm.ss" -> minutes after midnight (null if absent)
+        const m = /(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?/.exec(text || '');
+        if (!m) return null;
+        return Number(m[1]) * 60 + Number(m[2]) + Number(m[3] || 0) / 60;
+    }
+
+    static fromCSV(text) {
+        // One row per 30 s epoch. Uses a "stage" column when there is a header,
+        // else the last column; a clock-time column sets the start time.
+        const rows = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'))
+            .map(l => l.split(/[,;\t]/).map(c => c.trim().replace(/^"|"$/g, '')));
+        if (rows.length === 0) throw new Error('Empty scoring file');
+
+        const header = rows[0].map(c => c.toLowerCase());
+        const hasHeader = header.some(c => /stage|hypno|score|epoch|time/.test(c));
+        let stageCol = rows[0].length - 1;
+        let clockCol = -1;
+        if (hasHeader) {
+            const named = header.findIndex(c => /stage|hypno|score/.test(c));
+            if (named >= 0) stageCol = named;
+            clockCol = header.findIndex(c => /clock|time/.test(c) && !/sec|onset/.test(c));
+        }
+        const data = hasHeader ? rows.slice(1) : rows;
+        if (data.length === 0) throw new Error('No epochs in scoring file');
+
+        return {
+            stages: data.map(r => EpochScoring.parseStage(r[stageCol])),
+            startClock: clockCol >= 0 ? EpochScoring.parseClock(data[0][clockCol]) : null
+        };
+    }
+
+    static fromEDF(bytes) {
+        // Reads the "EDF Annotations" signal of an EDF+ file and expands
+        // "Sleep stage X" annotations into 30 s epochs.
+        const ascii = (from, length) => {
+            let out = '';
+            for (let i = from; i < from + length; i++) out += String.fromCharCode(bytes[i]);
+            return out;
+        };
+        if (bytes.length < 256) throw new Error('Not an EDF file');
+
+        const headerBytes = parseInt(ascii(184, 8), 10);
+        const records = parseInt(ascii(236, 8), 10);
+        const ns = parseInt(ascii(252, 4), 10);
+        if (!(ns > 0) || !(headerBytes === 256 * (ns + 1))) throw new Error('Not an EDF file');
+
+        const labelAt = (i) => ascii(256 + i * 16, 16).trim();
+        const samplesAt = (i) => parseInt(ascii(256 + ns * 216 + i * 8, 8), 10);
+        const annotationSignal = [...Array(ns).keys()].find(i => labelAt(i) === 'EDF Annotations');
+        if (annotationSignal === undefined) throw new Error('EDF file has no annotation signal');
+
+        const recordBytes = [...Array(ns).keys()].reduce((sum, i) => sum + samplesAt(i) * 2, 0);
+        const offset = [...Array(annotationSignal).keys()].reduce((sum, i) => sum + samplesAt(i) * 2, 0);
+        const length = samplesAt(annotationSignal) * 2;
+
+        const stageRuns = [];
+        for (let r = 0; r < records; r++) {
+            const text = ascii(headerBytes + r * recordBytes + offset, length);
+            text.split('\x00').forEach(tal => {
+                const parts = tal.split('\x14');
+                const [onsetText, durationText] = parts[0].split('\x15');
+                parts.slice(1).forEach(annotation => {
+                    if (!/^sleep stage/i.test(annotation)) return;
+                    stageRuns.push({
+                        onset: parseFloat(onsetText),
+                        duration: parseFloat(durationText || EPOCH_SECONDS),
+                        stage: EpochScoring.parseStage(annotation)
+                    });
+                });
+            });
+        }
+        if (stageRuns.length === 0) throw new Error('No "Sleep stage" annotations found');
+
+        stageRuns.sort((a, b) => a.onset - b.onset);
+        const first = stageRuns[0].onset;
+        const last = stageRuns[stageRuns.length - 1];
+        const stages = new Array(Math.round((last.onset + last.duration - first) / EPOCH_SECONDS)).fill(0);
+        stageRuns.forEach(run => {
+            const from = Math.round((run.onset - first) / EPOCH_SECONDS);
+            const to = Math.round((run.onset + run.duration - first) / EPOCH_SECONDS);
+            for (let i = from; i < to && i < stages.length; i++) stages[i] = run.stage;
+        });
+
+        const startClock = EpochScoring.parseClock(ascii(176, 8));
+        return { stages, startClock: startClock === null ? null : startClock + first / 60 };
+    }
+
+    static toBlocks(stages, start) {
+        // Epoch stage codes -> merged hypnogram blocks starting at axis minute `start`
+        const epochMins = EPOCH_SECONDS / 60;
+        const blocks = [];
+        stages.forEach((stage, i) => {
+            const last = blocks[blocks.length - 1];
+            if (last && last.stage === stage) last.duration += epochMins;
+            else blocks.push({ stage, duration: epochMins, start: start + i * epochMins });
+        });
+        return blocks;
+    }
+
+    static statsFromEpochs(stages) {
+        // Standard PSG summary metrics from 30 s epochs (minutes / fractions)
+        const epochMins = EPOCH_SECONDS / 60;
+        const firstSleep = stages.findIndex(s => s !== 0);
+
+        const counts = [0, 0, 0, 0, 0];
+        stages.forEach(s => { counts[s]++; });
+        const sleepEpochs = stages.length - counts[0];
+        const sleepCount = Math.max(1, sleepEpochs);
+
+        // WASO runs from sleep onset to lights-on (end of the record), as in
+        // the simulator: latency + WASO + TST = TIB
+        const wasoEpochs = firstSleep >= 0 ? counts[0] - firstSleep : 0;
+        const firstRem = firstSleep >= 0 ? stages.indexOf(1, firstSleep) : -1;
+
+        const tib = stages.length * epochMins;
+        const tst = sleepEpochs * epochMins;
+        return {
+            tib,
+            tst,
+            sleepEfficiency: tib > 0 ? (tst / tib) * 100 : 0,
+            latency: (firstSleep >= 0 ? firstSleep : stages.length) * epochMins,
+            wasoMins: wasoEpochs * epochMins,
+            remLatency: firstRem >= 0 ? (firstRem - firstSleep) * epochMins : null,
+            n1P: counts[2] / sleepCount,
+            n2P: counts[3] / sleepCount,
+            n3P: counts[4] / sleepCount,
+            remP: counts[1] / sleepCount
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EPOCH_SECONDS, EPOCH_LABELS, EpochScoring };
+}
@@ -0,0 +1,187 @@
+/**
+ * Sleep Age Simulator - Profile State
+ * The settings one profile is made of: defaults, allowed values and the
+ * validation applied to everything loaded from outside (share links,
+ * preset files, the command line).
+ *
+ * Same loading rules as models.js (plain script / require / import);
+ * needs MEDICATIONS and CAFFEINE_SOURCES from models.js.
+ */
+
+// Browser: models.js globals. Node: required here.
+const modelTables = typeof module !== 'undefined' && module.exports
+    ? require('./models.js')
+    : { MEDICATIONS, CAFFEINE_SOURCES };
+
+// Default State Template
+const defaultState = {
+    gender: 'male',
+    age: 25,
+    ageMonths: 0, // Under 3 years: age in months (infant model)
+    jetLag: 'none',
+    socialJetLag: false,
+    ahi: 0, // Apnea-hypopnea index (events per hour of sleep)
+    cpap: false, // Treated night
+    medications: [], // [{ drug, dose: mg, time: clock hour }]
+    insomnia: 'none', // none, onset, maintenance, early
+    narcolepsy: false, // Type 1
+    plmIndex: 0, // Periodic limb movements per hour of sleep
+    restlessLegs: false,
+    phaseDisorder: 'none', // none, delayed, advanced
+    isMenopausal: false,
+    chronotype: 'normal',
+    alcoholDrinks: [], // [{ time: clock hour, drinks }]
+    weight: 70, // kg (alcohol and caffeine distribution volume)
+    caffeineIntakes: [], // [{ time: clock hour, mg, source }]
+    caffeineMetabolism: 'normal', // fast, normal, slow
+    pregnant: false, // Caffeine half-life modifiers
+    oralContraceptives: false,
+    smoker: false,
+    wakeTime: 'auto', // Previous wake-up (clock hour) or 'auto'
+    nocturia: 0,
+    blueLight: false,
+    showProcessS: false,
+    showProcessC: false,
+    showGH: false,
+    showCortisol: false,
+    showCaffeine: false,
+    showBAC: false,
+    seed: 1,
+    upperThreshold: 0.66, // Two-Process Model thresholds
+    lowerThreshold: 0.12,
+    nights: 1, // > 1 = multi-night (re-entrainment) mode
+    exposureNights: 7, // Lifestyle modifiers apply for the first N nights
+    shiftWork: 'none', // none, night, early, rotating
+    shiftStart: 22, // Clock hour the shift starts
+    shiftLength: 8, // Hours
+    sleepPattern: 'monophasic', // monophasic, biphasic (siesta), segmented
+    naps: [], // [{ time: clock hour, duration: minutes }]
+    fixedBedtime: 'auto', // Lights-out clock hour or 'auto' (chronotype)
+    alarmTime: 'none', // Alarm clock hour or 'none'
+    sleepDebt: 0 // Minutes lost over recent nights
+};
+
+// Overlay toggles: redraw only, and kept when a preset is applied
+const visualKeys = ['showProcessS', 'showProcessC', 'showGH', 'showCortisol', 'showCaffeine', 'showBAC'];
+
+// Clock hours in half-hour steps as select values ('20', '20.5', ... '0', '0.5')
+function halfHours(from, to) {
+    const out = [];
+    for (let h = from; h < to; h += 0.5) out.push(String(h % 24));
+    return out;
+}
+
+// Allowed values beyond the type of the default (URL / preset validation)
+const stateChoices = {
+    gender: ['male', 'female'],
+    chronotype: ['lark', 'normal', 'owl'],
+    jetLag: ['none', 'west_mild', 'east_mild', 'west_severe', 'east_severe'],
+    caffeineMetabolism: ['slow', 'normal', 'fast'],
+    wakeTime: ['auto', '5', '6', '7', '8', '9', '10', '11', '12'],
+    shiftWork: ['none', 'night', 'early', 'rotating'],
+    sleepPattern: ['monophasic', 'biphasic', 'segmented'],
+    fixedBedtime: ['auto', ...halfHours(20, 27)],
+    alarmTime: ['none', ...halfHours(4, 11)],
+    insomnia: ['none', 'onset', 'maintenance', 'early'],
+    phaseDisorder: ['none', 'delayed', 'advanced']
+};
+const stateRanges = {
+    age: [0, 100],
+    ageMonths: [0, 35],
+    ahi: [0, 80],
+    plmIndex: [0, 80],
+    weight: [30, 150],
+    nocturia: [0, 10],
+    seed: [0, 2147483647],
+    upperThreshold: [0.5, 0.8],
+    lowerThreshold: [0.02, 0.25],
+    nights: [1, 7],
+    exposureNights: [1, 7],
+    shiftStart: [0, 23],
+    shiftLength: [4, 12],
+    sleepDebt: [0, 960]
+};
+
+const MAX_NAPS = 3;
+const isValidNap = (n) => !!n && Number.isFinite(n.time) && n.time >= 0 && n.time < 24 &&
+    Number.isFinite(n.duration) && n.duration >= 10 && n.duration <= 180;
+const MAX_DRINK_ROUNDS = 6;
+const isValidDrink = (d) => !!d && Number.isFinite(d.time) && d.time >= 0 && d.time < 24 &&
+    Number.isFinite(d.drinks) && d.drinks > 0 && d.drinks <= 10;
+const MAX_MEDICATIONS = 4;
+const isValidMedication = (m) => !!m && Object.hasOwn(modelTables.MEDICATIONS, m.drug) &&
+    Number.isFinite(m.time) && m.time >= 0 && m.time < 24 &&
+    Number.isFinite(m.dose) && m.dose > 0 && m.dose <= modelTables.MEDICATIONS[m.drug].dose * 4;
+const MAX_INTAKES = 8;
+const isValidIntake = (c) => !!c && Number.isFinite(c.time) && c.time >= 0 && c.time < 24 &&
+    Number.isFinite(c.mg) && c.mg > 0 && c.mg <= 1000 && Object.hasOwn(modelTables.CAFFEINE_SOURCES, c.source);
+
+// Defaults + every valid override in `raw`; unknown or invalid keys are dropped
+function sanitizeState(raw) {
+    const clean = JSON.parse(JSON.stringify(defaultState));
+    if (!raw || typeof raw !== 'object') return clean;
+    Object.keys(defaultState).forEach(key => {
+        const val = raw[key];
+        if (key === 'naps') {
+            if (Array.isArray(val)) clean.naps = val.filter(isValidNap).slice(0, MAX_NAPS).map(n => ({ time: n.time, duration: n.duration }));
+            return;
+        }
+        if (key === 'medications') {
+            if (Array.isArray(val)) clean.medications = val.filter(isValidMedication).slice(0, MAX_MEDICATIONS).map(m => ({ drug: m.drug, dose: m.dose, time: m.time }));
+            return;
+        }
+        if (key === 'alcoholDrinks') {
+            if (Array.isArray(val)) {
+                clean.alcoholDrinks = val.filter(isValidDrink).slice(0, MAX_DRINK_ROUNDS).map(d => ({ time: d.time, drinks: d.drinks }));
+            } else if (Number.isFinite(raw.alcohol) && raw.alcohol > 0) {
+                // Older links: `alcohol` drinks an hour before a 22:00 bedtime
+                clean.alcoholDrinks = [{ time: 21, drinks: Math.min(10, raw.alcohol) }];
+            }
+            return;
+        }
+        if (key === 'ahi' && val === undefined && Number.isFinite(raw.sdbSeverity)) {
+            // Older links: 0-10 `sdbSeverity` slider, 10 = severe (AHI 60)
+            clean.ahi = Math.min(80, Math.max(0, Math.round(raw.sdbSeverity * 6)));
+            return;
+        }
+        if (key === 'caffeineIntakes') {
+            if (Array.isArray(val)) {
+                clean.caffeineIntakes = val.filter(isValidIntake).slice(0, MAX_INTAKES).map(c => ({ time: c.time, mg: c.mg, source: c.source }));
+            } else if (Number.isFinite(raw.caffeine) && raw.caffeine > 0) {
+                // Older links: `caffeine` cups taken `caffeineTime` hours before a 22:00 bedtime
+                const hoursBefore = Number.isFinite(raw.caffeineTime) ? raw.caffeineTime : 0;
+                clean.caffeineIntakes = [{ time: ((22 - hoursBefore) % 24 + 24) % 24, mg: Math.min(1000, raw.caffeine * modelTables.CAFFEINE_SOURCES.coffee.mg), source: 'coffee' }];
+            }
+            return;
+        }
+        if (val === undefined || typeof val !== typeof defaultState[key]) return;
+        if (typeof val === 'number' && !Number.isFinite(val)) return;
+        if (stateChoices[key] && !stateChoices[key].includes(val)) return;
+        if (stateRanges[key]) {
+            const [min, max] = stateRanges[key];
+            if (val < min || val > max) return;
+        }
+        clean[key] = val;
+    });
+    return clean;
+}
+
+// Equal by value: lists (naps, drinks, ...) compare by their entries, so an
+// empty list matches the default [] and is left out of presets and links
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Scenario values of `s` that differ from defaultState (overlay toggles excluded)
+function stateDiff(s) {
+    const out = {};
+    Object.keys(defaultState).forEach(key => {
+        if (!visualKeys.includes(key) && !sameValue(s[key], defaultState[key])) out[key] = s[key];
+    });
+    return out;
+}
+
+// Node / CommonJS (and ES module `import` via Node's CJS interop)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { defaultState, visualKeys, stateChoices, stateRanges, MAX_NAPS, MAX_DRINK_ROUNDS, MAX_MEDICATIONS, MAX_INTAKES, isValidNap, isValidDrink, isValidMedication, isValidIntake, sanitizeState, stateDiff };
+}
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { execFileSync, spawnSync } = require('node:child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const simulate = (args) => JSON.parse(execFileSync(process.execPath, [CLI, 'simulate', ...args, '--json'], { encoding: 'utf8' }));
+
+// The README / cli.js examples, plus nights that end in long wake periods
+const SCENARIOS = [
+    [],
+    ['--age', '45', '--gender', 'female', '--caffeine', '2', '--caffeine-time', '6', '--sdb', '4'],
+    ['--shift-work', 'rotating', '--nights', '6'],
+    ['--age', '75', '--naps', '14:00/60'],
+    ['--gender', 'female', '--weight', '60', '--drinks', '19:00/2,21:00/1'],
+    ['--gender', 'female', '--caffeine-intakes', '08:00/95,15:30/80/energyDrink', '--oral-contraceptives'],
+    ['--bedtime', '0.5', '--alarm', '5.5', '--sleep-debt', '240'],
+    ['--age', '55', '--weight', '95', '--ahi', '24'],
+    ['--age', '55', '--weight', '95', '--ahi', '24', '--cpap'],
+    ['--age', '45', '--medications', '22:00/10/zolpidem,08:00/50/sertraline'],
+    ['--insomnia', 'maintenance', '--plm-index', '25', '--restless-legs'],
+    ['--phase-disorder', 'delayed', '--alarm', '6.5'],
+    ['--age', '0.5'],
+    ['--sleep-pattern', 'segmented'],
+    ['--insomnia', 'early', '--age', '70'],
+    ['--phase-disorder', 'advanced'],
+    ['--jet-lag', 'east_severe', '--nights', '7'],
+    ['--bedtime', '2.5', '--alarm', '4', '--jet-lag', 'east_severe', '--insomnia', 'onset']
+];
+
+SCENARIOS.forEach(args => {
+    test(`latency + WASO + TST = TIB: simulate ${args.join(' ') || '(defaults)'}`, () => {
+        const out = simulate(args);
+        const nights = Array.isArray(out) ? out.map(n => n.stats) : [out];
+        nights.forEach(st => {
+            assert.ok(st.tib > 0);
+            assert.ok(st.latency >= 0 && st.wasoMins >= 0 && st.tst >= 0);
+            assert.ok(Math.abs(st.latency + st.wasoMins + st.tst - st.tib) < 1e-6,
+                `latency ${st.latency} + WASO ${st.wasoMins} + TST ${st.tst} != TIB ${st.tib}`);
+        });
+    });
+});
+
+const run = (args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+test('infant nights report cycles and print no NaN', () => {
+    const st = simulate(['--age', '1']);
+    assert.ok(st.cycles > 0);
+    assert.ok(st.meanCycleLength > 0);
+    const table = run(['simulate', '--age', '1']);
+    assert.equal(table.status, 0);
+    assert.doesNotMatch(table.stdout, /NaN/);
+});
+
+test('inputs the infant model ignores are rejected under 3', () => {
+    const res = run(['simulate', '--age', '1', '--ahi', '40']);
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, /does not use --ahi/);
+    assert.equal(run(['simulate', '--age', '3', '--ahi', '40']).status, 0);
+});
+
+test('age outside 0-100 is rejected with the usage message', () => {
+    ['-5', '200'].forEach(age => {
+        const res = run(['simulate', '--age', age]);
+        assert.equal(res.status, 1);
+        assert.match(res.stderr, /--age must be between 0 and 100/);
+        assert.match(res.stderr, /Usage:/);
+    });
+    assert.equal(run(['sweep', '--param', 'age', '--from', '90', '--to', '110', '--step', '10']).status, 1);
+});
+
+test('--nights and --exposure-nights use the dashboard range 1-7', () => {
+    assert.match(run(['simulate', '--nights', '3', '--exposure-nights', '0']).stderr, /--exposure-nights must be between 1 and 7/);
+    assert.match(run(['simulate', '--nights', '8']).stderr, /--nights must be between 1 and 7/);
+    assert.equal(run(['simulate', '--nights', '3', '--exposure-nights', '1']).status, 0);
+});
+
+test('n3_pct matches the N3 share of the exported epochs', () => {
+    const args = ['--age', '45', '--ahi', '40'];
+    const st = simulate(args);
+    const rows = run(['export', '--format', 'csv', ...args]).stdout.trim().split('\n').slice(1).map(l => l.split(',').pop());
+    const sleep = rows.filter(stage => stage !== 'W').length;
+    const n3 = rows.filter(stage => stage === 'N3').length;
+    assert.ok(Math.abs(st.n3P * 100 - (n3 / sleep) * 100) < 0.5, `n3_pct ${st.n3P * 100} vs epochs ${(n3 / sleep) * 100}`);
+});
+
+test('sweep refuses --nights', () => {
+    const res = run(['sweep', '--param', 'age', '--from', '20', '--to', '30', '--step', '10', '--nights', '3']);
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, /sweep runs single nights; drop --nights/);
+});
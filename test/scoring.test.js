@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HypnogramGenerator } = require('../models.js');
+const { EpochScoring } = require('../scoring.js');
+
+const night = (config) => new HypnogramGenerator().generate({ age: 45, gender: 'female', seed: 7, ...config });
+
+test('EDF export reads back to the same epochs', () => {
+    const result = night({ ahi: 20 });
+    const epochs = EpochScoring.toEpochs(result);
+    const back = EpochScoring.fromEDF(EpochScoring.toEDF(result));
+
+    assert.deepEqual(back.stages, epochs.map(e => e.stage));
+    assert.equal(EpochScoring.clockTime(back.startClock - 18 * 60), EpochScoring.clockTime(epochs[0].start));
+    assert.deepEqual(EpochScoring.statsFromEpochs(back.stages), EpochScoring.statsFromEpochs(epochs.map(e => e.stage)));
+});
+
+test('CSV export reads back to the same epochs', () => {
+    const result = night({ insomnia: 'maintenance' });
+    const back = EpochScoring.fromCSV(EpochScoring.toCSV(result));
+    assert.deepEqual(back.stages, EpochScoring.toEpochs(result).map(e => e.stage));
+});
+
+test('fromEDF rejects files that are not EDF', () => {
+    assert.throws(() => EpochScoring.fromEDF(new Uint8Array(100)), /Not an EDF file/);
+    assert.throws(() => EpochScoring.fromEDF(new Uint8Array(512).fill(32)), /Not an EDF file/);
+});
+
+test('statsFromEpochs counts wake after the last sleep epoch as WASO', () => {
+    const st = EpochScoring.statsFromEpochs([0, 0, 2, 3, 0, 3, 0, 0]);
+    assert.equal(st.latency, 1);
+    assert.equal(st.wasoMins, 1.5);
+    assert.equal(st.tst, 1.5);
+    assert.equal(st.tib, 4);
+});
+
+test('JSON export stats describe its own epochs', () => {
+    [{}, { ahi: 40 }].forEach(config => {
+        const doc = JSON.parse(EpochScoring.toJSON(night({ age: 25, ...config })));
+        const sleep = doc.epochs.filter(s => s !== 'W').length;
+        const share = (label) => doc.epochs.filter(s => s === label).length / sleep;
+        assert.equal(doc.stats.n3P, share('N3'));
+        assert.equal(doc.stats.n1P, share('N1'));
+        assert.equal(doc.stats.remP, share('R'));
+        assert.equal(doc.stats.tib, doc.epochs.length * doc.epochSeconds / 60);
+    });
+});
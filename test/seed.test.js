@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HypnogramGenerator, STAGES } = require('../models.js');
+const { defaultState } = require('../state.js');
+
+const cfg = { ...defaultState, age: 45, insomnia: 'maintenance' };
+const wakePlacement = (result) => result.blocks.filter(b => b.stage === STAGES.WAKE).map(b => [b.start, b.duration]);
+
+test('the same seed gives the same night', () => {
+    const a = new HypnogramGenerator().generate({ ...cfg, seed: 7 });
+    const b = new HypnogramGenerator().generate({ ...cfg, seed: 7 });
+    assert.deepEqual(a.blocks, b.blocks);
+    assert.deepEqual(a.wakeEvents, b.wakeEvents);
+    assert.deepEqual(a.stats, b.stats);
+});
+
+test('a different seed moves the wake and arousal placement', () => {
+    const a = new HypnogramGenerator().generate({ ...cfg, seed: 7 });
+    const b = new HypnogramGenerator().generate({ ...cfg, seed: 8 });
+    assert.notDeepEqual(wakePlacement(a), wakePlacement(b));
+    assert.notDeepEqual(a.wakeEvents.map(w => w.time), b.wakeEvents.map(w => w.time));
+});
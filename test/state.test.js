@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { defaultState, sanitizeState, stateDiff } = require('../state.js');
+
+test('sanitizeState fills defaults for missing or unusable input', () => {
+    assert.deepEqual(sanitizeState(undefined), defaultState);
+    assert.deepEqual(sanitizeState('age=40'), defaultState);
+    assert.deepEqual(sanitizeState({}), defaultState);
+});
+
+test('sanitizeState returns a copy, never the defaults themselves', () => {
+    const s = sanitizeState({});
+    s.naps.push({ time: 14, duration: 30 });
+    assert.deepEqual(defaultState.naps, []);
+});
+
+test('sanitizeState keeps valid values and drops invalid ones', () => {
+    const s = sanitizeState({
+        age: 62, gender: 'female', chronotype: 'owl', cpap: true,
+        weight: 500, // out of range
+        jetLag: 'north', // not a choice
+        seed: '4', // wrong type
+        nights: Infinity,
+        unknownKey: 1
+    });
+    assert.equal(s.age, 62);
+    assert.equal(s.gender, 'female');
+    assert.equal(s.chronotype, 'owl');
+    assert.equal(s.cpap, true);
+    assert.equal(s.weight, defaultState.weight);
+    assert.equal(s.jetLag, defaultState.jetLag);
+    assert.equal(s.seed, defaultState.seed);
+    assert.equal(s.nights, defaultState.nights);
+    assert.equal('unknownKey' in s, false);
+});
+
+test('sanitizeState filters list entries and caps their number', () => {
+    const s = sanitizeState({
+        naps: [{ time: 14, duration: 30, extra: 1 }, { time: 25, duration: 30 }, { time: 15, duration: 5 }],
+        medications: [{ drug: 'zolpidem', dose: 10, time: 22 }, { drug: 'unknown', dose: 10, time: 22 }],
+        caffeineIntakes: Array.from({ length: 12 }, (_, i) => ({ time: 8 + i / 2, mg: 95, source: 'coffee' }))
+    });
+    assert.deepEqual(s.naps, [{ time: 14, duration: 30 }]);
+    assert.deepEqual(s.medications, [{ drug: 'zolpidem', dose: 10, time: 22 }]);
+    assert.equal(s.caffeineIntakes.length, 8);
+});
+
+test('sanitizeState migrates older link fields', () => {
+    const s = sanitizeState({ alcohol: 3, sdbSeverity: 5, caffeine: 2, caffeineTime: 6 });
+    assert.deepEqual(s.alcoholDrinks, [{ time: 21, drinks: 3 }]);
+    assert.equal(s.ahi, 30);
+    assert.deepEqual(s.caffeineIntakes, [{ time: 16, mg: 190, source: 'coffee' }]);
+});
+
+test('stateDiff compares list values by content', () => {
+    assert.deepEqual(stateDiff(sanitizeState({})), {});
+    assert.deepEqual(stateDiff({ ...defaultState, naps: [], medications: [], caffeineIntakes: [] }), {});
+    const naps = [{ time: 14, duration: 30 }];
+    assert.deepEqual(stateDiff({ ...defaultState, naps }), { naps });
+    assert.deepEqual(stateDiff(sanitizeState({ naps: [{ time: 14, duration: 30 }] })), { naps });
+});
+
+test('stateDiff leaves out the overlay toggles', () => {
+    assert.deepEqual(stateDiff({ ...defaultState, showProcessS: true, age: 60 }), { age: 60 });
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HypnogramGenerator, STAGES } = require('../models.js');
+const { defaultState } = require('../state.js');
+
+const blockShare = (result, stage) => {
+    const sleep = result.blocks.filter(b => b.stage !== STAGES.WAKE).reduce((sum, b) => sum + b.duration, 0);
+    return result.blocks.filter(b => b.stage === stage).reduce((sum, b) => sum + b.duration, 0) / sleep;
+};
+
+[
+    ['an alarm cut', { fixedBedtime: '0', alarmTime: '5' }],
+    ['an uncut night', {}],
+    ['untreated apnea', { ahi: 40 }]
+].forEach(([name, overrides]) => {
+    test(`stage shares are those of the drawn blocks: ${name}`, () => {
+        const result = new HypnogramGenerator().generate({ ...defaultState, ...overrides });
+        [['n1P', STAGES.N1], ['n2P', STAGES.N2], ['n3P', STAGES.N3], ['remP', STAGES.REM]].forEach(([key, stage]) => {
+            assert.ok(Math.abs(result.stats[key] - blockShare(result, stage)) < 1e-9, `${key} ${result.stats[key]} vs blocks ${blockShare(result, stage)}`);
+        });
+    });
+});